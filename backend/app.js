@@ -0,0 +1,63 @@
+const express = require('express');
+const cors = require('cors');
+const uploadRoutes = require('./src/routes/uploadRoutes');
+const tusRoutes = require('./src/routes/tusRoutes');
+const janitorRoutes = require('./src/routes/janitorRoutes');
+const jobRoutes = require('./src/routes/jobRoutes');
+const authRoutes = require('./src/routes/authRoutes');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+const { authenticate } = require('./src/middleware/auth');
+const { rateLimit } = require('./src/middleware/rateLimit');
+const { requestLog } = require('./src/middleware/requestLog');
+const metricsController = require('./src/controllers/metricsController');
+const log = require('./src/services/logger');
+
+// The Express app: middleware and routes. server.js connects it to the database and listens.
+const app = express();
+
+// CORS allow-list: CORS_ORIGINS="https://a.example,https://b.example" ("*" allows any origin)
+const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:3000,http://localhost:5173')
+    .split(',').map(o => o.trim()).filter(Boolean);
+
+// Middleware: request ids, JSON request logs and HTTP metrics first (see src/middleware/requestLog.js)
+app.use(requestLog);
+app.use(cors({
+    origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+    // Read by the browser client: finalize job location, downloads, rate limit backoff
+    exposedHeaders: ['Location', 'ETag', 'Content-Range', 'Content-Disposition', 'Accept-Ranges', 'Retry-After', 'X-Request-Id'],
+    // tus discovery (OPTIONS /api/tus) must reach the tus router for its Tus-* headers
+    preflightContinue: true
+}));
+// Every other OPTIONS request is a plain CORS preflight: cors() has set its headers, end it here
+app.options('*', (req, res, next) => {
+    if (req.path.replace(/\/$/, '') === '/api/tus') return next();
+    res.status(204).end();
+});
+app.use(express.json()); // For JSON bodies
+// Binary chunk bodies are NOT parsed here: upload and tus routes stream them straight into storage
+
+// Routes: everything under /api needs a credential (see src/middleware/auth.js)
+// and is rate limited per client (see src/middleware/rateLimit.js)
+app.use('/api', authenticate);
+app.use('/api', rateLimit);
+app.use('/api/auth', authRoutes);
+app.use('/api/tus', tusRoutes);
+app.use('/api/janitor', janitorRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api', uploadRoutes);
+
+// Prometheus scrape endpoint (optional METRICS_TOKEN, see src/controllers/metricsController.js)
+app.get('/metrics', metricsController.scrape);
+
+app.get('/', (req, res) => {
+    res.send('Resilient Uploader API is running');
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    log.error('Unhandled error', { err });
+    res.status(500).json({ error: 'Something went wrong!' });
+});
+
+module.exports = app;
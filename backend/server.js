@@ -1,45 +1,36 @@
-const express = require('express');
-const cors = require('cors');
 const fs = require('fs-extra');
-const path = require('path');
-const uploadRoutes = require('./src/routes/uploadRoutes');
+const app = require('./app');
+const log = require('./src/services/logger');
 const db = require('./src/db');
+const schema = require('./src/services/schema');
+const storage = require('./src/services/storage');
+const janitor = require('./src/services/janitor');
+const webhooks = require('./src/services/webhooks');
 
-const app = express();
 const PORT = process.env.PORT || 4000;
 
-// Test DB Connection
+// Test DB Connection, then make sure it holds the current schema (see src/services/schema.js)
 db.getConnection()
     .then(connection => {
-        console.log('Database connected successfully');
+        log.info('Database connected successfully');
         connection.release();
+        return schema.check();
+    })
+    .then(problems => {
+        if (!problems || problems.length === 0) return;
+        log.error('Database schema is out of date: reset the database (README, "Upgrading an existing database")', { problems });
+        process.exit(1);
     })
     .catch(err => {
-        console.error('Database connection failed:', err);
+        log.error('Database connection failed', { err });
     });
 
-// Middleware
-app.use(cors());
-app.use(express.json()); // For JSON bodies
-app.use(express.raw({ type: 'application/octet-stream', limit: '50mb' })); // For binary chunk uploads
-
-// Ensure uploads directory exists
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
-fs.ensureDirSync(UPLOADS_DIR);
-
-// Routes
-app.use('/api', uploadRoutes);
-
-app.get('/', (req, res) => {
-    res.send('Resilient Uploader API is running');
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ error: 'Something went wrong!' });
-});
+// Ensure uploads directory exists (local storage driver only)
+if (storage.UPLOADS_DIR) fs.ensureDirSync(storage.UPLOADS_DIR);
+log.info('Storage driver selected', { driver: storage.name });
 
 app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+    log.info('Server running', { port: Number(PORT) });
+    janitor.start();
+    webhooks.start();
 });
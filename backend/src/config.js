@@ -0,0 +1,17 @@
+// Numeric settings from the environment, parsed the same way everywhere: unset or empty means
+// `fallback`; anything else must be a number >= `min` (default 0, which turns most limits off),
+// or startup fails naming the variable instead of running with NaN or a silently ignored value.
+const envNumber = (name, fallback, { min = 0 } = {}) => {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min) {
+        throw new Error(`${name} must be a number >= ${min} (got "${raw}")`);
+    }
+    return value;
+};
+
+module.exports = {
+    envNumber
+};
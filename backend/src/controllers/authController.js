@@ -0,0 +1,23 @@
+const auth = require('../services/auth');
+
+// Exchange the current credential (typically an API key) for a short-lived bearer token.
+// Browsers use it where headers can't be sent: EventSource and download links (?access_token=).
+// { ttlSeconds } may shorten the lifetime, never extend it.
+exports.issueToken = (req, res) => {
+    const requested = (req.body || {}).ttlSeconds;
+    let ttlSeconds = auth.config.tokenTtlSeconds;
+    if (requested !== undefined) {
+        if (!Number.isInteger(requested) || requested < 1) {
+            return res.status(400).json({ error: 'ttlSeconds must be a positive integer' });
+        }
+        ttlSeconds = Math.min(requested, ttlSeconds);
+    }
+
+    const { token, expiresAt } = auth.signToken(req.principal, ttlSeconds);
+    res.json({ token, tokenType: 'Bearer', expiresAt, ownerId: req.principal.ownerId });
+};
+
+// Who the current credential belongs to
+exports.whoami = (req, res) => {
+    res.json({ ownerId: req.principal.ownerId, admin: req.principal.admin, via: req.principal.via, authEnabled: auth.config.enabled });
+};
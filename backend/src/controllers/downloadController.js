@@ -0,0 +1,211 @@
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline, Readable } = require('stream');
+const db = require('../db');
+const storage = require('../services/storage');
+const archives = require('../services/archives');
+const archiveStore = require('../services/archiveStore');
+const blobStore = require('../services/blobStore');
+const log = require('../services/logger');
+
+// Client went away mid-download: not worth logging
+const isAbort = (err) => err.code === 'ERR_STREAM_PREMATURE_CLOSE';
+
+// Only entries the yauzl read stream can decompress
+const READABLE_METHODS = ['stored', 'deflate'];
+
+// More ranges than this in one request get the whole file instead (cheap to ask, costly to serve)
+const MAX_RANGES = 16;
+
+// Entity tags in an If-Match / If-None-Match list
+const listedTags = (header) => header.split(',').map(t => t.trim());
+
+// If-Range: the ranges only apply if the client's copy is still current (strong ETag or exact date)
+const ifRangeMatches = (header, etag, lastModified) => {
+    if (!header) return true;
+    if (header.startsWith('"') || header.startsWith('W/')) return header === etag;
+    return Date.parse(header) === lastModified.getTime();
+};
+
+// multipart/byteranges body, streamed part by part from storage
+const multipartBody = (key, ranges, { boundary, contentType, size }) => {
+    const partHeader = (r) =>
+        `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${r.start}-${r.end}/${size}\r\n\r\n`;
+    const closing = `--${boundary}--\r\n`;
+
+    const length = ranges.reduce((sum, r) => sum + Buffer.byteLength(partHeader(r)) + (r.end - r.start + 1) + 2, 0) +
+        Buffer.byteLength(closing);
+
+    const stream = Readable.from((async function* parts() {
+        for (const r of ranges) {
+            yield Buffer.from(partHeader(r));
+            yield* storage.createReadStream(key, { start: r.start, end: r.end });
+            yield Buffer.from('\r\n');
+        }
+        yield Buffer.from(closing);
+    })());
+    return { stream, length };
+};
+
+// The stored file of a COMPLETED upload, under its original filename.
+// ETag is the content hash, so it's strong and identical for deduplicated copies.
+// Supports conditional GETs (If-None-Match / If-Modified-Since -> 304, If-Match / If-Unmodified-Since -> 412),
+// single and multiple byte ranges, and If-Range for resuming only while the content is unchanged.
+exports.getContent = async (req, res) => {
+    let upload;
+    try {
+        const [rows] = await db.query(
+            'SELECT u.*, b.content_type FROM uploads u LEFT JOIN blobs b ON b.hash = u.final_hash WHERE u.id = ?',
+            [req.params.uploadId]
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Upload not found' });
+        upload = rows[0];
+    } catch (err) {
+        log.error('Download lookup failed', { err });
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (upload.status !== 'COMPLETED') {
+        return res.status(409).json({ error: `Upload is ${upload.status}; content is available once it is COMPLETED` });
+    }
+
+    const key = blobStore.storageKeyFor(upload);
+    const size = Number(upload.total_size);
+    const etag = `"${upload.final_hash}"`;
+    const lastModified = new Date(Math.floor(new Date(upload.updated_at).getTime() / 1000) * 1000); // HTTP dates have no ms
+
+    try {
+        if (!(await storage.stat(key))) {
+            log.error('Stored content missing', { storageKey: key });
+            return res.status(500).json({ error: 'Stored content is missing' });
+        }
+    } catch (err) {
+        log.error('Download stat failed', { err });
+        return res.status(500).json({ error: 'Storage error' });
+    }
+
+    res.set('ETag', etag);
+    res.set('Last-Modified', lastModified.toUTCString());
+    res.set('Accept-Ranges', 'bytes');
+
+    // Preconditions, in RFC 9110 order
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch && ifMatch.trim() !== '*' && !listedTags(ifMatch).includes(etag)) {
+        return res.status(412).end();
+    }
+    const ifUnmodifiedSince = Date.parse(req.headers['if-unmodified-since']);
+    if (!ifMatch && !isNaN(ifUnmodifiedSince) && lastModified.getTime() > ifUnmodifiedSince) {
+        return res.status(412).end();
+    }
+    if (req.fresh) return res.status(304).end(); // If-None-Match / If-Modified-Since
+
+    let ranges = null;
+    if (req.headers.range && size > 0 && ifRangeMatches(req.headers['if-range'], etag, lastModified)) {
+        const parsed = req.range(size, { combine: true });
+        if (parsed === -1) {
+            res.set('Content-Range', `bytes */${size}`);
+            return res.status(416).json({ error: 'Range not satisfiable' });
+        }
+        // Malformed: the whole file (a 200 is always a valid answer)
+        if (Array.isArray(parsed) && parsed.type === 'bytes' && parsed.length <= MAX_RANGES) ranges = parsed;
+    }
+
+    res.attachment(upload.filename); // Content-Disposition; Content-Type from the extension...
+    if (upload.content_type && upload.content_type !== 'application/octet-stream') {
+        res.type(upload.content_type); // ...unless the bytes told us more at finalize
+    }
+    const contentType = res.get('Content-Type');
+
+    let body;
+    if (!ranges) {
+        res.set('Content-Length', String(size));
+        body = () => storage.createReadStream(key);
+    } else if (ranges.length === 1) {
+        const [r] = ranges;
+        res.status(206);
+        res.set('Content-Range', `bytes ${r.start}-${r.end}/${size}`);
+        res.set('Content-Length', String(r.end - r.start + 1));
+        body = () => storage.createReadStream(key, { start: r.start, end: r.end });
+    } else {
+        const boundary = crypto.randomBytes(16).toString('hex');
+        const multipart = multipartBody(key, ranges, { boundary, contentType, size });
+        res.status(206);
+        res.type(`multipart/byteranges; boundary=${boundary}`);
+        res.set('Content-Length', String(multipart.length));
+        body = () => multipart.stream;
+    }
+
+    if (req.method === 'HEAD') return res.end();
+    pipeline(body(), res, (err) => {
+        if (err && !isAbort(err)) log.error('Content stream error', { err });
+    });
+};
+
+// One file out of a COMPLETED ZIP upload, decompressed on the fly from the stored archive.
+// Range requests (single range) are honoured for stored entries only: deflate can't be entered mid-stream.
+exports.getEntry = async (req, res) => {
+    const entryPath = req.params[0];
+    let opened;
+    let range = null;
+
+    try {
+        const [rows] = await db.query('SELECT * FROM uploads WHERE id = ?', [req.params.uploadId]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Upload not found' });
+        const upload = rows[0];
+        if (upload.status !== 'COMPLETED') {
+            return res.status(409).json({ error: `Upload is ${upload.status}; entries are available once it is COMPLETED` });
+        }
+
+        const archive = await archiveStore.loadSummary(upload.final_hash);
+        if (!archive || archive.format !== 'zip') {
+            return res.status(400).json({ error: 'Single entries can only be downloaded from ZIP archives' });
+        }
+
+        // The stored listing answers most requests without touching the archive.
+        // A truncated listing may be missing the entry, so the central directory has the last word.
+        const entry = await archiveStore.findEntry(upload.final_hash, entryPath);
+        if (!entry && !archive.truncated) return res.status(404).json({ error: 'Entry not found' });
+        if (entry && entry.isDirectory) return res.status(400).json({ error: 'Entry is a directory' });
+        if (entry && entry.encrypted) return res.status(422).json({ error: 'Entry is encrypted' });
+        if (entry && !READABLE_METHODS.includes(entry.compressionMethod)) {
+            return res.status(422).json({ error: `Unsupported compression method: ${entry.compressionMethod}` });
+        }
+
+        const rangeable = entry && entry.compressionMethod === 'stored' && entry.uncompressedSize > 0;
+        res.set('Accept-Ranges', rangeable ? 'bytes' : 'none');
+        if (rangeable && req.headers.range) {
+            const ranges = req.range(entry.uncompressedSize, { combine: true });
+            if (ranges === -1) {
+                res.set('Content-Range', `bytes */${entry.uncompressedSize}`);
+                return res.status(416).json({ error: 'Range not satisfiable' });
+            }
+            // Malformed or multiple ranges: the whole entry (a 200 is always a valid answer)
+            if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) range = ranges[0];
+        }
+
+        opened = await archives.openZipEntry(blobStore.storageKeyFor(upload), entryPath, range);
+        if (!opened) return res.status(404).json({ error: 'Entry not found' });
+    } catch (err) {
+        log.error('Entry download failed', { err });
+        return res.status(500).json({ error: 'Could not read the archive' });
+    }
+
+    const { entry, stream } = opened;
+    const size = entry.uncompressedSize;
+
+    res.attachment(path.posix.basename(entryPath)); // Content-Disposition, and Content-Type from the extension
+    if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+        res.set('Content-Length', String(size));
+    }
+
+    if (req.method === 'HEAD') {
+        stream.destroy();
+        return res.end();
+    }
+    pipeline(stream, res, (err) => {
+        if (err && !isAbort(err)) log.error('Entry stream error', { err });
+    });
+};
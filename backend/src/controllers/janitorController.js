@@ -0,0 +1,42 @@
+const janitor = require('../services/janitor');
+const log = require('../services/logger');
+
+const parseDryRun = (value) => value === true || value === 'true' || value === '1';
+
+// Trigger a run now. ?dryRun=true (or { dryRun: true }) only reports what would be removed.
+exports.runNow = async (req, res) => {
+    const requested = req.query.dryRun !== undefined ? req.query.dryRun : (req.body || {}).dryRun;
+    const dryRun = requested === undefined ? janitor.config.dryRun : parseDryRun(requested);
+
+    try {
+        res.json(await janitor.run({ dryRun, trigger: 'manual' }));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+};
+
+// Recent runs, newest first
+exports.listRuns = async (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ error: 'limit must be between 1 and 100' });
+    }
+
+    try {
+        res.json({ config: janitor.config, runs: await janitor.listRuns(limit) });
+    } catch (err) {
+        log.error('Janitor run listing failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+exports.getRun = async (req, res) => {
+    try {
+        const run = await janitor.getRun(req.params.runId);
+        if (!run) return res.status(404).json({ error: 'Run not found' });
+        res.json(run);
+    } catch (err) {
+        log.error('Janitor run lookup failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
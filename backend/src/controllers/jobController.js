@@ -0,0 +1,75 @@
+const finalizeJobs = require('../services/finalizeJobs');
+const log = require('../services/logger');
+
+const HEARTBEAT_MS = 15000;
+const POLL_MS = 1000; // for jobs running on another backend instance
+
+// Polling: current state of a finalize job
+exports.getJob = async (req, res) => {
+    try {
+        const job = await finalizeJobs.get(req.params.jobId);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        res.json(job);
+    } catch (err) {
+        log.error('Job lookup failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+// Server-sent events: `progress` while running, then one `completed` or `failed` event and the stream ends
+exports.streamEvents = async (req, res) => {
+    let job;
+    try {
+        job = await finalizeJobs.get(req.params.jobId);
+    } catch (err) {
+        log.error('Job lookup failed', { err });
+        return res.status(500).json({ error: 'Database error' });
+    }
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // don't let nginx buffer the stream
+    });
+    res.write('retry: 3000\n\n');
+
+    const timers = [];
+    let unsubscribe = null;
+    let closed = false;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        timers.forEach(clearInterval);
+        if (unsubscribe) unsubscribe();
+        res.end();
+    };
+
+    const send = (update) => {
+        if (closed) return;
+        const event = update.status === 'SUCCEEDED' ? 'completed' : update.status === 'FAILED' ? 'failed' : 'progress';
+        res.write(`event: ${event}\ndata: ${JSON.stringify(update)}\n\n`);
+        if (finalizeJobs.isFinished(update)) close();
+    };
+
+    req.on('close', close);
+    timers.push(setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS));
+
+    send(job);
+    if (closed) return;
+
+    unsubscribe = finalizeJobs.subscribe(job.jobId, send);
+    if (!unsubscribe) {
+        // Not running in this process: follow the persisted state
+        timers.push(setInterval(async () => {
+            try {
+                const latest = await finalizeJobs.get(job.jobId);
+                if (latest) send(latest);
+            } catch (err) {
+                log.error('Job poll failed', { err });
+            }
+        }, POLL_MS));
+    }
+};
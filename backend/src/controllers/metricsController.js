@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const metrics = require('../services/metrics');
+const log = require('../services/logger');
+
+// GET /metrics (Prometheus). Outside /api, so scrapers need no API key; with METRICS_TOKEN set,
+// they must send it as "Authorization: Bearer <token>".
+const token = process.env.METRICS_TOKEN || '';
+
+const authorized = (req) => {
+    if (!token) return true;
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+exports.scrape = async (req, res) => {
+    if (!authorized(req)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Metrics token required' });
+    }
+    try {
+        res.set('Content-Type', metrics.CONTENT_TYPE).send(await metrics.render());
+    } catch (err) {
+        log.error('Metrics render failed', { err });
+        res.status(500).json({ error: 'Metrics unavailable' });
+    }
+};
@@ -0,0 +1,355 @@
+const db = require('../db');
+const storage = require('../services/storage');
+const ingest = require('../services/ingest');
+const blobStore = require('../services/blobStore');
+const finalizeJobs = require('../services/finalizeJobs');
+const uploadPolicy = require('../services/uploadPolicy');
+const webhooks = require('../services/webhooks');
+const hooks = require('../services/hooks');
+const { withUploadLock } = require('../services/transaction');
+const { newUploadId } = require('../services/uploadIds');
+const log = require('../services/logger');
+const metrics = require('../services/metrics');
+const { envNumber } = require('../config');
+
+// tus 1.0.0 resumable upload protocol (https://tus.io/protocols/resumable-upload)
+// Extensions: creation, termination, checksum, expiration.
+// Uploads live in the same `uploads`/`chunks` tables as the custom API: every PATCH becomes one
+// chunk row (byte_offset/byte_length), and reaching Upload-Length runs the shared finalize pipeline.
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,checksum,expiration';
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+const EXPIRATION_HOURS = envNumber('TUS_EXPIRATION_HOURS', 24, { min: 1 });
+
+const EXPOSED_HEADERS = [
+    'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Checksum-Algorithm',
+    'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires', 'Retry-After'
+].join(', ');
+
+// One PATCH per upload at a time (per backend instance), like tusd's in-memory locker
+const activePatches = new Set();
+
+// Upload-Metadata: comma-separated "key base64value" pairs
+const parseMetadata = (header) => {
+    const metadata = {};
+    if (!header) return metadata;
+    for (const pair of header.split(',')) {
+        const [key, value] = pair.trim().split(' ');
+        if (key) metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return metadata;
+};
+
+const isExpired = (upload) => upload.expires_at && new Date(upload.expires_at) < new Date();
+
+// Failed, cancelled (DELETE /api/upload/:id) or expired uploads answer 410 Gone
+const isGone = (upload) =>
+    upload.status === 'FAILED' || upload.status === 'CANCELLED' || (upload.status === 'UPLOADING' && isExpired(upload));
+
+const getUpload = async (uploadId) => {
+    const [rows] = await db.query('SELECT * FROM uploads WHERE id = ?', [uploadId]);
+    return rows[0] || null;
+};
+
+// tus offsets are contiguous, so the offset is simply the bytes acknowledged so far
+const getOffset = async (uploadId) => {
+    const [rows] = await db.query(
+        'SELECT COALESCE(SUM(byte_length), 0) AS bytes, COUNT(*) AS count FROM chunks WHERE upload_id = ? AND status = "UPLOADED"',
+        [uploadId]
+    );
+    return { offset: Number(rows[0].bytes), count: Number(rows[0].count) };
+};
+
+const setExpires = (res, upload) => {
+    if (upload.expires_at) res.set('Upload-Expires', new Date(upload.expires_at).toUTCString());
+};
+
+// Completed tus uploads go through the same pipeline as /upload/:id/finalize (no client hash;
+// integrity comes from the per-PATCH checksum extension), as a tracked finalize job
+// (GET /api/jobs/:id) so clients aren't held open while a large file is hashed.
+const finalizeInBackground = (uploadId) => {
+    finalizeJobs.submit(uploadId).catch((err) => {
+        log.error('tus finalize failed', { uploadId, err });
+    });
+};
+
+// Common headers, X-HTTP-Method-Override and the Tus-Resumable precondition
+exports.tusHeaders = (req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+    res.set('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+
+    const override = req.headers['x-http-method-override'];
+    if (override) req.method = override.toUpperCase();
+
+    if (req.method !== 'OPTIONS' && req.headers['tus-resumable'] !== TUS_VERSION) {
+        res.set('Tus-Version', TUS_VERSION);
+        return res.status(412).json({ error: 'Unsupported or missing Tus-Resumable version' });
+    }
+    next();
+};
+
+exports.options = (req, res) => {
+    res.set({
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': TUS_EXTENSIONS,
+        'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(',')
+    });
+    res.status(204).end();
+};
+
+// creation extension
+exports.create = async (req, res) => {
+    if (req.headers['upload-defer-length']) {
+        return res.status(400).json({ error: 'Upload-Defer-Length is not supported' });
+    }
+
+    const totalSize = Number(req.headers['upload-length']);
+    if (!Number.isSafeInteger(totalSize) || totalSize < 0) {
+        return res.status(400).json({ error: 'Missing or invalid Upload-Length header' });
+    }
+
+    const rawMetadata = req.headers['upload-metadata'] || null;
+    const metadata = parseMetadata(rawMetadata);
+    const filename = (metadata.filename || metadata.name || 'untitled').slice(0, 255);
+
+    try {
+        // Same policy as /upload/init; tus clients (tus-js-client, Uppy) declare the type as `filetype`
+        const uploadId = newUploadId();
+        log.setContext({ uploadId });
+        const mimeType = metadata.filetype || metadata.type;
+        await uploadPolicy.admit(req.principal.ownerId, { filename, totalSize, mimeType }, (conn) => conn.query(
+            'INSERT INTO uploads (id, owner_id, filename, total_size, total_chunks, metadata, expires_at, status) VALUES (?, ?, ?, ?, 0, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), "UPLOADING")',
+            [uploadId, req.principal.ownerId, filename, totalSize, rawMetadata, EXPIRATION_HOURS]
+        ));
+
+        const { storageUploadId } = await storage.init(String(uploadId));
+        if (storageUploadId) {
+            await db.query('UPDATE uploads SET storage_upload_id = ? WHERE id = ?', [storageUploadId, uploadId]);
+        }
+
+        const upload = await getUpload(uploadId);
+        webhooks.emit('upload.created', upload, { mimeType: mimeType || null });
+
+        // Nothing to send for an empty file
+        if (totalSize === 0) finalizeInBackground(uploadId);
+
+        setExpires(res, upload);
+        res.set('Location', `${req.protocol}://${req.get('host')}${req.baseUrl}/${uploadId}`);
+        res.status(201).end();
+    } catch (err) {
+        if (err.code && err.status) return res.status(err.status).json({ error: err.message, code: err.code, ...err.details });
+        log.error('tus create failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+exports.head = async (req, res) => {
+    try {
+        const upload = await getUpload(req.params.uploadId);
+        if (!upload) return res.status(404).end();
+        if (isGone(upload)) {
+            return res.status(410).end();
+        }
+
+        const { offset } = await getOffset(upload.id);
+
+        res.set({
+            'Upload-Offset': String(offset),
+            'Upload-Length': String(upload.total_size),
+            'Cache-Control': 'no-store'
+        });
+        if (upload.metadata) res.set('Upload-Metadata', upload.metadata);
+        setExpires(res, upload);
+        res.status(200).end();
+    } catch (err) {
+        log.error('tus head failed', { err });
+        res.status(500).end();
+    }
+};
+
+exports.patch = async (req, res) => {
+    const { uploadId } = req.params;
+
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+        return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    const clientOffset = Number(req.headers['upload-offset']);
+    if (!Number.isSafeInteger(clientOffset) || clientOffset < 0) {
+        return res.status(400).json({ error: 'Missing or invalid Upload-Offset header' });
+    }
+
+    let contentLength;
+    try {
+        contentLength = ingest.getContentLength(req);
+    } catch (err) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
+    // checksum extension: "Upload-Checksum: <algorithm> <base64 digest>" over this request's body
+    let checksum = null;
+    if (req.headers['upload-checksum']) {
+        const [algorithm, expected] = req.headers['upload-checksum'].trim().split(' ');
+        if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+            return res.status(400).json({ error: `Unsupported checksum algorithm: ${algorithm}` });
+        }
+        checksum = { algorithm, expected };
+    }
+
+    if (activePatches.has(uploadId)) {
+        return res.status(423).json({ error: 'Upload is locked by another request' });
+    }
+    activePatches.add(uploadId);
+
+    // Set once the attempt is recorded: from then on a failure counts towards the upload's
+    // chunk failure rate, as in the chunk API
+    let attempted = null;
+    let staged = null; // written to storage but not committed: discarded whatever ends the request
+    const chunkFailed = (reason) => {
+        metrics.chunkFailures.inc({ protocol: 'tus', reason });
+        webhooks.chunkFailed(attempted);
+    };
+
+    try {
+        const upload = await getUpload(uploadId);
+        if (!upload) return res.status(404).end();
+        if (isGone(upload)) {
+            return res.status(410).end();
+        }
+
+        const { offset, count } = await getOffset(upload.id);
+        if (clientOffset !== offset || upload.status !== 'UPLOADING') {
+            res.set('Upload-Offset', String(offset));
+            return res.status(409).json({ error: 'Upload-Offset does not match the current offset' });
+        }
+
+        if (offset + contentLength > upload.total_size) {
+            return res.status(413).json({ error: 'Request body exceeds Upload-Length' });
+        }
+
+        if (storage.minPartSize && contentLength > 0 && offset + contentLength < upload.total_size && contentLength < storage.minPartSize) {
+            return res.status(400).json({ error: `PATCH bodies must be at least ${storage.minPartSize} bytes (except the last)` });
+        }
+
+        let newOffset = offset;
+        if (contentLength > 0) {
+            const claimed = await withUploadLock(upload.id, ['UPLOADING'], (conn) =>
+                conn.query('UPDATE uploads SET chunk_attempts = chunk_attempts + 1 WHERE id = ?', [upload.id])
+            );
+            if (!claimed) return res.status(410).end();
+            attempted = upload;
+            const observe = metrics.chunkDuration.startTimer({ protocol: 'tus' });
+            // Staged in storage; nothing is committed or recorded unless the whole body arrives and
+            // verifies, so an aborted PATCH leaves the offset where it was and the client resumes from HEAD.
+            const algorithms = checksum && checksum.algorithm !== 'sha256' ? ['sha256', checksum.algorithm] : ['sha256'];
+            const received = await ingest.receive(req, { limit: contentLength, algorithms, throttle: req.throttle }, (stream) =>
+                storage.writeChunk(String(upload.id), {
+                    index: count,
+                    offset,
+                    stream,
+                    length: contentLength,
+                    storageUploadId: upload.storage_upload_id
+                })
+            );
+            staged = received.result;
+
+            if (received.bytes !== contentLength) {
+                chunkFailed('short_body');
+                return res.status(400).json({ error: 'Body shorter than Content-Length' });
+            }
+
+            const sha256 = received.digest('sha256');
+            if (checksum) {
+                const actual = checksum.algorithm === 'sha256'
+                    ? Buffer.from(sha256, 'hex').toString('base64')
+                    : received.digest(checksum.algorithm, 'base64');
+                if (actual !== checksum.expected) {
+                    chunkFailed('checksum_mismatch');
+                    return res.status(460).json({ error: 'Checksum Mismatch' });
+                }
+            }
+
+            // Only while still UPLOADING: a cancel during the PATCH must not be undone by its acknowledgement
+            const acked = await withUploadLock(upload.id, ['UPLOADING'], async (conn) => {
+                await storage.commitChunk(String(upload.id), { offset, ...staged });
+                staged = null;
+                return conn.query(
+                    'INSERT INTO chunks (upload_id, chunk_index, byte_offset, byte_length, checksum, etag, status) VALUES (?, ?, ?, ?, ?, ?, "UPLOADED")',
+                    [upload.id, count, offset, received.bytes, sha256, received.result.etag]
+                );
+            });
+            if (!acked) return res.status(410).end();
+            newOffset = offset + received.bytes;
+            attempted = null;
+            observe();
+            metrics.chunksReceived.inc({ protocol: 'tus' });
+            metrics.chunkBytes.inc({ protocol: 'tus' }, received.bytes);
+        }
+
+        // expiration extension: every successful PATCH extends the deadline
+        await db.query('UPDATE uploads SET expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR) WHERE id = ?', [EXPIRATION_HOURS, upload.id]);
+
+        if (newOffset === upload.total_size) {
+            await db.query('UPDATE uploads SET total_chunks = ? WHERE id = ?', [count + (contentLength > 0 ? 1 : 0), upload.id]);
+            finalizeInBackground(upload.id);
+        }
+
+        setExpires(res, await getUpload(upload.id));
+        res.set('Upload-Offset', String(newOffset));
+        res.status(204).end();
+    } catch (err) {
+        if (attempted) chunkFailed(err.code === 'ABORTED' ? 'aborted' : err.status ? 'rejected' : 'write_error');
+        if (err.code === 'ABORTED') {
+            log.warn('tus PATCH aborted by client');
+            return;
+        }
+        if (err.status) return res.status(err.status).json({ error: err.message, code: err.code, ...err.details });
+        log.error('tus patch failed', { err });
+        res.status(500).json({ error: 'Write failed' });
+    } finally {
+        if (staged) await storage.discardChunk(uploadId, staged).catch(() => {});
+        activePatches.delete(uploadId);
+    }
+};
+
+// termination extension
+exports.terminate = async (req, res) => {
+    try {
+        const upload = await getUpload(req.params.uploadId);
+        if (!upload) return res.status(404).end();
+
+        if (upload.status === 'PROCESSING' || activePatches.has(String(upload.id))) {
+            return res.status(409).json({ error: 'Upload is being written or finalized' });
+        }
+
+        // Under the row lock and only from the state seen above, so of two concurrent terminations
+        // (or a termination and a cancel or finalize) only one goes on to release the data
+        let hookResults;
+        const deleted = await withUploadLock(upload.id, [upload.status], async (conn) => {
+            hookResults = await hooks.load(upload.id); // before they cascade with the row
+            await conn.query('DELETE FROM uploads WHERE id = ?', [upload.id]);
+            return true;
+        });
+        if (!deleted) {
+            return (await getUpload(upload.id))
+                ? res.status(409).json({ error: 'Upload changed while being terminated' })
+                : res.status(404).end();
+        }
+
+        await hooks.removeOutputs(hookResults);
+        if (upload.status === 'COMPLETED') {
+            // Shared content stays as long as another upload references it
+            await blobStore.release(upload.final_hash);
+        } else {
+            await blobStore.removeIfUnreferenced(blobStore.storageKeyFor(upload), upload.storage_upload_id);
+        }
+
+        // Terminating a finished upload only deletes it; an unfinished one is a cancellation
+        if (upload.status === 'UPLOADING' || upload.status === 'FAILED') webhooks.emit('upload.cancelled', upload);
+        res.status(204).end();
+    } catch (err) {
+        log.error('tus terminate failed', { err });
+        res.status(500).json({ error: 'Termination failed' });
+    }
+};
@@ -1,125 +1,402 @@
 const db = require('../db');
-const fs = require('fs-extra');
-const path = require('path');
-const crypto = require('crypto');
-const yauzl = require('yauzl');
+const storage = require('../services/storage');
+const ingest = require('../services/ingest');
+const blobStore = require('../services/blobStore');
+const finalizeJobs = require('../services/finalizeJobs');
+const uploadStatus = require('../services/uploadStatus');
+const archiveStore = require('../services/archiveStore');
+const janitor = require('../services/janitor');
+const uploadPolicy = require('../services/uploadPolicy');
+const webhooks = require('../services/webhooks');
+const hooks = require('../services/hooks');
+const { withUploadLock } = require('../services/transaction');
+const { newUploadId } = require('../services/uploadIds');
+const log = require('../services/logger');
+const metrics = require('../services/metrics');
 
-const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+// In-progress uploads are stored under their own id (see blobStore.storageKeyFor)
+const storageKey = (uploadId) => String(uploadId);
 
-// Helper to get file path
-const getFilePath = (uploadId) => path.join(UPLOADS_DIR, `${uploadId}.bin`);
+// S3 allows part numbers 1..10000
+const MAX_CHUNK_INDEX = 9999;
+
+// Policy violations carry a machine-readable code (see services/uploadPolicy.js)
+const sendError = (res, err) => res.status(err.status).json({ error: err.message, code: err.code, ...err.details });
+
+// Validates the declared file of /upload/init and /upload/check; answers and returns false if invalid.
+// `totalChunks` is the client's initial plan. Chunk sizes adapt later, so it only has to be
+// achievable: at most MAX_CHUNK_BYTES per chunk, at least one byte, at most MAX_CHUNK_INDEX + 1 chunks.
+const validateDeclaration = (req, res) => {
+    const { filename, totalSize, totalChunks, mimeType } = req.body;
+
+    if (typeof filename !== 'string' || filename.length === 0 || filename.length > 255) {
+        res.status(400).json({ error: 'Missing or invalid filename', code: 'INVALID_FILENAME' });
+        return false;
+    }
+    if (!Number.isSafeInteger(totalSize) || totalSize < 0) {
+        res.status(400).json({ error: 'Missing or invalid totalSize', code: 'INVALID_SIZE' });
+        return false;
+    }
+    const minChunks = Math.ceil(totalSize / ingest.MAX_CHUNK_BYTES);
+    const maxChunks = Math.min(totalSize, MAX_CHUNK_INDEX + 1);
+    if (!Number.isSafeInteger(totalChunks) || totalChunks < minChunks || totalChunks > maxChunks) {
+        res.status(400).json({
+            error: minChunks > maxChunks
+                ? 'File is too large to be sent in chunks'
+                : `totalChunks must be between ${minChunks} and ${maxChunks} for ${totalSize} bytes`,
+            code: 'INVALID_CHUNK_LAYOUT'
+        });
+        return false;
+    }
+    if (mimeType !== undefined && (typeof mimeType !== 'string' || mimeType.length > 127)) {
+        res.status(400).json({ error: 'Invalid mimeType', code: 'INVALID_MIME_TYPE' });
+        return false;
+    }
+    return true;
+};
+
+// The owner's unfinished upload that init would resume: same content (fingerprint + size), same
+// browser (session token), same file of the selection (its relativePath, else its name), so
+// identical files dropped together (e.g. copies in a folder) are separate uploads.
+// `<=>` is MySQL's NULL-safe equality so token-less clients only match token-less rows.
+const findResumable = async (ownerId, { fingerprint, totalSize, sessionToken, relativePath, filename }) => {
+    const [rows] = await db.query(
+        'SELECT * FROM uploads WHERE owner_id = ? AND fingerprint = ? AND total_size = ? AND session_token <=> ? AND COALESCE(relative_path, filename) = ? AND status NOT IN ("COMPLETED", "FAILED", "CANCELLED") ORDER BY created_at DESC',
+        [ownerId, fingerprint.toLowerCase(), totalSize, sessionToken, relativePath || filename]
+    );
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Preflight: would /upload/init accept this file? Same checks, nothing reserved. Lets the client
+// learn about size, type and quota limits before it spends time hashing the file. With the
+// file's identity (fingerprint, sessionToken, relativePath) an upload init would resume is
+// re-checked as a resume, so its own reservation doesn't count against it twice.
+exports.checkUpload = async (req, res) => {
+    if (!validateDeclaration(req, res)) return;
+    const { filename, totalSize, mimeType, fingerprint } = req.body;
+    const { ownerId } = req.principal;
+    const sessionToken = typeof req.body.sessionToken === 'string' ? req.body.sessionToken : null;
+    const relativePath = typeof req.body.relativePath === 'string' ? req.body.relativePath : null;
+
+    try {
+        const resumable = typeof fingerprint === 'string' && /^[a-f0-9]{64}$/i.test(fingerprint)
+            ? await findResumable(ownerId, { fingerprint, totalSize, sessionToken, relativePath, filename })
+            : null;
+        if (resumable) {
+            await uploadPolicy.recheck(resumable);
+        } else {
+            await uploadPolicy.check(ownerId, { filename, totalSize, mimeType });
+        }
+        res.json({ allowed: true });
+    } catch (err) {
+        if (err.code && err.status) return sendError(res, err);
+        log.error('Upload check failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
 
 exports.initiateUpload = async (req, res) => {
-    const { filename, totalSize, totalChunks } = req.body;
+    const { filename, totalSize, totalChunks, chunkSize, fingerprint, fileHash, mimeType } = req.body;
+    const { ownerId } = req.principal;
+    const sessionToken = req.body.sessionToken || null;
+    const relativePath = req.body.relativePath || null; // path inside a dropped folder
+
+    if (!validateDeclaration(req, res)) return;
+
+    if (typeof fingerprint !== 'string' || !/^[a-f0-9]{64}$/i.test(fingerprint)) {
+        return res.status(400).json({ error: 'Missing or invalid fingerprint' });
+    }
+
+    if (sessionToken !== null && (typeof sessionToken !== 'string' || sessionToken.length > 64)) {
+        return res.status(400).json({ error: 'Invalid sessionToken' });
+    }
+
+    if (relativePath !== null && (typeof relativePath !== 'string' || relativePath.length > 1024)) {
+        return res.status(400).json({ error: 'Invalid relativePath' });
+    }
+
+    // Initial chunk size; the client may adapt it later, each chunk's range is recorded on receipt
+    if (chunkSize !== undefined && (!Number.isSafeInteger(chunkSize) || chunkSize <= 0 || chunkSize > ingest.MAX_CHUNK_BYTES)) {
+        return res.status(400).json({ error: `chunkSize must be between 1 and ${ingest.MAX_CHUNK_BYTES} bytes` });
+    }
+
+    if (fileHash !== undefined && (typeof fileHash !== 'string' || !/^[a-f0-9]{64}$/i.test(fileHash))) {
+        return res.status(400).json({ error: 'Invalid fileHash' });
+    }
 
     try {
-        // Check if upload exists (simple de-duplication based on filename and size for this demo)
-        // In prod, use a hash of the file header or similar.
-        const [rows] = await db.query(
-            'SELECT * FROM uploads WHERE filename = ? AND total_size = ? AND status != "COMPLETED" AND status != "FAILED"', 
-            [filename, totalSize]
-        );
+        // Dedup: identical content already COMPLETED -> new upload row pointing at the same blob,
+        // no chunks need to be sent at all. Only for content this owner has uploaded before:
+        // otherwise knowing a file's hash would be enough to get a downloadable copy of it.
+        // (Across owners, identical content is still stored once, at finalize.)
+        const [owned] = fileHash
+            ? await db.query(
+                'SELECT 1 FROM uploads WHERE owner_id = ? AND final_hash = ? AND status = "COMPLETED" LIMIT 1',
+                [ownerId, fileHash.toLowerCase()]
+            )
+            : [[]];
+        if (owned.length > 0) {
+            // Costs no storage (the owner already stores this content), but must still be an accepted file
+            uploadPolicy.checkFile({ filename, totalSize, mimeType });
+            const uploadId = newUploadId();
+            const blob = await blobStore.acquire(fileHash.toLowerCase(), totalSize, (conn, acquired) => conn.query(
+                'INSERT INTO uploads (id, owner_id, filename, relative_path, total_size, total_chunks, fingerprint, session_token, status, final_hash, storage_key) VALUES (?, ?, ?, ?, ?, ?, ?, ?, "COMPLETED", ?, ?)',
+                [uploadId, ownerId, filename, relativePath, totalSize, totalChunks, fingerprint.toLowerCase(), sessionToken, acquired.hash, acquired.storage_key]
+            ));
+            if (blob) {
+                log.setContext({ uploadId });
+                webhooks.emit('upload.completed', {
+                    id: uploadId, owner_id: ownerId, filename, relative_path: relativePath, total_size: totalSize, final_hash: blob.hash
+                }, { dedup: true, contentType: blob.content_type });
+                return res.json({
+                    uploadId,
+                    status: 'COMPLETED',
+                    dedup: true,
+                    hash: blob.hash,
+                    storageKey: blob.storage_key,
+                    contentType: blob.content_type,
+                    archive: await archiveStore.loadSummary(blob.hash),
+                    uploadedChunks: []
+                });
+            }
+        }
+
+        const upload = await findResumable(ownerId, { fingerprint, totalSize, sessionToken, relativePath, filename });
 
         let uploadId;
         let uploadedChunks = [];
+        let chunkLayout = [];
 
-        if (rows.length > 0) {
+        if (upload) {
             // Resume existing
-            const upload = rows[0];
             uploadId = upload.id;
+            log.setContext({ uploadId });
+
+            // Admitted at its first init; fail now rather than on the first chunk if the policy changed since
+            await uploadPolicy.recheck(upload);
 
-            // Get completed chunks
+            // Get the recorded chunk layout. Chunk sizes vary (adaptive client), so the client
+            // rebuilds its plan from these byte ranges: UPLOADED ones are done, PENDING ones
+            // were attempted and must be re-sent with the same range.
             const [chunkRows] = await db.query(
-                'SELECT chunk_index FROM chunks WHERE upload_id = ? AND status = "UPLOADED"',
+                'SELECT chunk_index, byte_offset, byte_length, status FROM chunks WHERE upload_id = ? ORDER BY chunk_index',
                 [uploadId]
             );
-            uploadedChunks = chunkRows.map(r => r.chunk_index);
+            chunkLayout = chunkRows.map(r => ({ index: r.chunk_index, offset: r.byte_offset, length: r.byte_length, status: r.status }));
+            uploadedChunks = chunkLayout.filter(c => c.status === 'UPLOADED').map(c => c.index);
             
-            // Ensure file exists on disk, if not (deleted?), we might need to reset. 
-            // For now assume disk persistence.
-            if (!fs.existsSync(getFilePath(uploadId))) {
-                 // edge case: db says uploading, but file gone. Reset.
+            // Ensure the partial data still exists in storage (file on disk / open multipart upload).
+            if (!(await storage.isResumable(storageKey(uploadId), { storageUploadId: upload.storage_upload_id }))) {
+                 // edge case: db says uploading, but data gone. Reset.
                  await db.query('DELETE FROM chunks WHERE upload_id = ?', [uploadId]);
                  uploadedChunks = [];
-                 await fs.ensureFile(getFilePath(uploadId));
+                 chunkLayout = [];
+                 const { storageUploadId } = await storage.init(storageKey(uploadId));
+                 await db.query('UPDATE uploads SET storage_upload_id = ? WHERE id = ?', [storageUploadId, uploadId]);
             }
 
+            webhooks.emit('upload.resumed', upload, { uploadedChunks: uploadedChunks.length });
+
         } else {
-            // New upload
-            const [result] = await db.query(
-                'INSERT INTO uploads (filename, total_size, total_chunks, status) VALUES (?, ?, ?, "UPLOADING")',
-                [filename, totalSize, totalChunks]
-            );
-            uploadId = result.insertId;
-            
-            // Create empty file placeholder (not strictly necessary with 'r+', but good for reservation)
-             await fs.ensureFile(getFilePath(uploadId));
+            // New upload: admitted by the policy (size, type, concurrency, quotas), which reserves
+            // its full size as soon as the row exists
+            uploadId = newUploadId();
+            log.setContext({ uploadId });
+            await uploadPolicy.admit(ownerId, { filename, totalSize, mimeType }, (conn) => conn.query(
+                'INSERT INTO uploads (id, owner_id, filename, relative_path, total_size, total_chunks, chunk_size, fingerprint, session_token, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, "UPLOADING")',
+                [uploadId, ownerId, filename, relativePath, totalSize, totalChunks, chunkSize || null, fingerprint.toLowerCase(), sessionToken]
+            ));
+
+            // Reserve storage (empty file placeholder / S3 multipart upload)
+            const { storageUploadId } = await storage.init(storageKey(uploadId));
+            if (storageUploadId) {
+                await db.query('UPDATE uploads SET storage_upload_id = ? WHERE id = ?', [storageUploadId, uploadId]);
+            }
+
+            webhooks.emit('upload.created', {
+                id: uploadId, owner_id: ownerId, filename, relative_path: relativePath, total_size: totalSize
+            }, { totalChunks, mimeType: mimeType || null });
         }
 
         res.json({
             uploadId,
             status: 'UPLOADING',
-            uploadedChunks
+            uploadedChunks,
+            chunks: chunkLayout,
+            // Bounds for the client's adaptive chunk sizing (S3 parts must be >= 5MB except the last)
+            limits: {
+                minChunkSize: storage.minPartSize || 1,
+                maxChunkSize: ingest.MAX_CHUNK_BYTES
+            }
         });
 
     } catch (err) {
-        console.error(err);
+        if (err.code && err.status) return sendError(res, err);
+        log.error('Upload init failed', { err });
         res.status(500).json({ error: 'Database error' });
     }
 };
 
 exports.uploadChunk = async (req, res) => {
-    const { uploadId, chunkIndex } = req.params;
-    const chunkData = req.body; // Binary data from express.raw()
-    
-    // We need to know the offset. 
-    // Assumption: The client sends a header "X-Chunk-Offset" or we calculate based on standard chunk size?
-    // Better: Client should tell us the offset bytes. 
-    // If not, we have to rely on fixed chunk sizing, which is risky if client changes logic.
-    // Let's look for Content-Range header: `bytes 0-1023/2048`.
-    const rangeHeader = req.headers['content-range'] || req.headers['x-content-range'];
-    
-    // Fallback: strictly assume client sends "X-Chunk-Offset" header to be safe and stateless regarding chunk size
-    // OR: Assume a fixed chunk size config? No, variable chunking is better.
-    // Let's use `X-Chunk-Offset` header.
+    const { uploadId } = req.params;
+    const chunkIndex = parseInt(req.params.chunkIndex);
+
+    // Chunk sizes are variable (the client adapts them to the link), so the client tells us
+    // the placement: `X-Chunk-Offset` + Content-Length define the chunk's byte range.
     const offset = parseInt(req.headers['x-chunk-offset']);
 
     if (isNaN(offset)) {
          return res.status(400).json({ error: 'Missing X-Chunk-Offset header' });
     }
 
+    // Per-chunk integrity: client sends SHA-256 (hex) of the chunk bytes.
+    // The body is hashed while it streams into the driver's staging area (a staging file, an S3
+    // part) and only committed to the upload's data once it matches. On mismatch the staged
+    // bytes are discarded, the chunk stays PENDING and only that chunk needs to be re-sent.
+    const clientChecksum = (req.headers['x-chunk-checksum'] || '').toLowerCase();
+    if (!/^[a-f0-9]{64}$/.test(clientChecksum)) {
+         return res.status(400).json({ error: 'Missing or invalid X-Chunk-Checksum header' });
+    }
+
+    let contentLength;
+    try {
+        contentLength = ingest.getContentLength(req);
+    } catch (err) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
+    // Set once the attempt is recorded: from then on a failure counts towards the upload's chunk failure rate
+    let attempted = null;
+    let staged = null; // written to storage but not committed: discarded whatever ends the request
+    const chunkFailed = (reason) => {
+        metrics.chunkFailures.inc({ protocol: 'chunk', reason });
+        webhooks.chunkFailed(attempted);
+    };
+
     try {
-        const filePath = getFilePath(uploadId);
-        
-        // Open file in 'r+' mode (read/write, does not truncate)
-        // If file doesn't exist (deleted?), `r+` will fail. `fs.open` with `w` truncates.
-        // We ensure file created in init.
-        // `r+` requires file to exist.
-        
-        if (!fs.existsSync(filePath)) {
-             // Recover from "Server Crash" / "Deleted Temp File" scenario?
-             // If DB thinks it exists but file doesn't, we are in trouble. 
-             // We should recreate it.
-             await fs.ensureFile(filePath);
-        }
-
-        const fd = await fs.open(filePath, 'r+');
-        
-        await fs.write(fd, chunkData, 0, chunkData.length, offset);
-        await fs.close(fd);
-
-        // Update DB
-        // Using INSERT IGNORE or ON DUPLICATE KEY UPDATE for Idempotency
-        await db.query(
-            'INSERT INTO chunks (upload_id, chunk_index, status) VALUES (?, ?, "UPLOADED") ON DUPLICATE KEY UPDATE status="UPLOADED", received_at=CURRENT_TIMESTAMP',
+        const [rows] = await db.query('SELECT * FROM uploads WHERE id = ?', [uploadId]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Upload not found' });
+        const upload = rows[0];
+        if (upload.status !== 'UPLOADING') {
+             return res.status(409).json({ error: `Upload is ${upload.status}` });
+        }
+
+        if (isNaN(chunkIndex) || chunkIndex < 0 || chunkIndex > MAX_CHUNK_INDEX) {
+             return res.status(400).json({ error: `Chunk index out of range (0..${MAX_CHUNK_INDEX})` });
+        }
+
+        // Reject before any byte is written if the range doesn't fit the file
+        if (offset < 0 || contentLength === 0 || offset + contentLength > upload.total_size) {
+             return res.status(400).json({ error: 'Chunk range outside the file', totalSize: upload.total_size });
+        }
+        const isLast = offset + contentLength === upload.total_size;
+        if (storage.minPartSize && !isLast && contentLength < storage.minPartSize) {
+             return res.status(400).json({ error: `Chunks must be at least ${storage.minPartSize} bytes (except the last)` });
+        }
+
+        // A chunk's range is recorded on its first attempt and never changes; retries and
+        // resumes must re-send exactly that range (Content-Length = expected chunk length).
+        const [existing] = await db.query(
+            'SELECT byte_offset, byte_length FROM chunks WHERE upload_id = ? AND chunk_index = ?',
             [uploadId, chunkIndex]
         );
+        if (existing.length > 0 && existing[0].byte_offset !== null &&
+            (existing[0].byte_offset !== offset || existing[0].byte_length !== contentLength)) {
+             return res.status(409).json({
+                 error: 'Chunk range differs from the recorded layout',
+                 expectedOffset: existing[0].byte_offset,
+                 expectedLength: existing[0].byte_length
+             });
+        }
 
+        // Index order must match byte order (S3 concatenates parts by number) and ranges must not overlap
+        const [conflicts] = await db.query(
+            'SELECT chunk_index FROM chunks WHERE upload_id = ? AND chunk_index <> ? AND ((chunk_index < ? AND byte_offset + byte_length > ?) OR (chunk_index > ? AND byte_offset < ?)) LIMIT 1',
+            [uploadId, chunkIndex, chunkIndex, offset, chunkIndex, offset + contentLength]
+        );
+        if (conflicts.length > 0) {
+             return res.status(409).json({ error: 'Chunk range overlaps or is out of order with chunk ' + conflicts[0].chunk_index });
+        }
+
+        // Record the range and un-acknowledge while bytes are in flight: an abort or checksum
+        // mismatch mid-write must not leave an UPLOADED row vouching for overwritten data.
+        // Both writes hold the upload's row lock and only apply while it is UPLOADING,
+        // so a concurrent cancel either waits for them or makes them fail.
+        const claimed = await withUploadLock(uploadId, ['UPLOADING'], async (conn) => {
+            await conn.query(
+                'INSERT INTO chunks (upload_id, chunk_index, byte_offset, byte_length, status) VALUES (?, ?, ?, ?, "PENDING") ON DUPLICATE KEY UPDATE status = "PENDING", byte_offset = VALUES(byte_offset), byte_length = VALUES(byte_length)',
+                [uploadId, chunkIndex, offset, contentLength]
+            );
+            await conn.query('UPDATE uploads SET chunk_attempts = chunk_attempts + 1 WHERE id = ?', [uploadId]);
+            return true;
+        });
+        if (!claimed) {
+             return res.status(409).json({ error: 'Upload is no longer accepting chunks' });
+        }
+        attempted = upload;
+        if (existing.length > 0) metrics.chunkRetries.inc({ protocol: 'chunk' });
+        const observe = metrics.chunkDuration.startTimer({ protocol: 'chunk' });
+
+        // Stream the body straight into storage's staging area
+        const received = await ingest.receive(req, { limit: contentLength, throttle: req.throttle }, (stream) =>
+            storage.writeChunk(storageKey(uploadId), {
+                index: chunkIndex,
+                offset,
+                stream,
+                length: contentLength,
+                storageUploadId: upload.storage_upload_id
+            })
+        );
+        staged = received.result;
+
+        if (received.bytes !== contentLength) {
+             chunkFailed('short_body');
+             return res.status(400).json({ error: 'Body shorter than Content-Length', received: received.bytes });
+        }
+
+        const serverChecksum = received.digest('sha256');
+        if (serverChecksum !== clientChecksum) {
+             chunkFailed('checksum_mismatch');
+             return res.status(422).json({
+                 error: 'Chunk checksum mismatch',
+                 retryable: true,
+                 chunkIndex,
+                 expected: clientChecksum,
+                 received: serverChecksum
+             });
+        }
+
+        // Commit the staged bytes and acknowledge the chunk under the row lock. The upsert makes
+        // a re-sent chunk idempotent.
+        const acked = await withUploadLock(uploadId, ['UPLOADING'], async (conn) => {
+            await storage.commitChunk(storageKey(uploadId), { offset, ...staged });
+            staged = null;
+            return conn.query(
+                'INSERT INTO chunks (upload_id, chunk_index, byte_offset, byte_length, checksum, etag, status) VALUES (?, ?, ?, ?, ?, ?, "UPLOADED") ON DUPLICATE KEY UPDATE status="UPLOADED", byte_offset=VALUES(byte_offset), byte_length=VALUES(byte_length), checksum=VALUES(checksum), etag=VALUES(etag), received_at=CURRENT_TIMESTAMP',
+                [uploadId, chunkIndex, offset, received.bytes, serverChecksum, received.result.etag]
+            );
+        });
+        if (!acked) {
+             return res.status(409).json({ error: 'Upload is no longer accepting chunks' });
+        }
+
+        observe();
+        metrics.chunksReceived.inc({ protocol: 'chunk' });
+        metrics.chunkBytes.inc({ protocol: 'chunk' }, received.bytes);
         res.json({ success: true });
 
     } catch (err) {
-        console.error('Chunk upload error:', err);
+        if (attempted) chunkFailed(err.code === 'ABORTED' ? 'aborted' : err.status ? 'rejected' : 'write_error');
+        if (err.code === 'ABORTED') {
+             // Nobody is listening; the chunk simply stays un-acknowledged
+             log.warn('Chunk aborted by client', { chunkIndex });
+             return;
+        }
+        if (err.status) return sendError(res, err);
+        log.error('Chunk upload failed', { chunkIndex, err });
         res.status(500).json({ error: 'Write failed' });
+    } finally {
+        if (staged) await storage.discardChunk(storageKey(uploadId), staged).catch(() => {});
     }
 };
 
@@ -127,109 +404,112 @@ exports.finalizeUpload = async (req, res) => {
     const { uploadId } = req.params;
     const { clientHash } = req.body; // Client sends their calculated hash for verification
 
+    // End-to-end integrity is mandatory: the client hashes the file in a Web Worker
+    if (typeof clientHash !== 'string' || !/^[a-f0-9]{64}$/i.test(clientHash)) {
+        return res.status(400).json({ error: 'Missing or invalid clientHash (hex SHA-256 required)' });
+    }
+
+    try {
+        // Same pipeline as tus uploads. Only the claim (lock + completeness check) happens here;
+        // assemble, hash, archive inspection and blob registration run as a job the client follows.
+        const { job, completed } = await finalizeJobs.submit(uploadId, { clientHash });
+        if (completed) return res.json(completed);
+
+        const statusUrl = `${req.baseUrl}/jobs/${job.jobId}`;
+        res.status(202).location(statusUrl).json({
+            status: 'PROCESSING',
+            uploadId: job.uploadId,
+            jobId: job.jobId,
+            statusUrl,
+            eventsUrl: `${statusUrl}/events`
+        });
+    } catch (err) {
+        if (!err.status) log.error('Finalize failed', { err });
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Finalization error', ...err.details });
+    }
+};
+
+// Status of one upload: received/missing byte ranges, pending chunks, hash, timestamps
+exports.getUpload = async (req, res) => {
+    try {
+        const upload = await uploadStatus.describe(req.params.uploadId);
+        if (!upload) return res.status(404).json({ error: 'Upload not found' });
+        res.json(upload);
+    } catch (err) {
+        log.error('Upload status failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+// GET /upload/:uploadId/entries
+// Archive contents of a COMPLETED upload: per-entry metadata plus the inspection warnings.
+// `archive` is null when the file isn't an archive.
+exports.getEntries = async (req, res) => {
+    try {
+        const [rows] = await db.query('SELECT id, status, final_hash FROM uploads WHERE id = ?', [req.params.uploadId]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Upload not found' });
+        if (rows[0].status !== 'COMPLETED') {
+            return res.status(409).json({ error: `Upload is ${rows[0].status}; entries are available once it is COMPLETED` });
+        }
+
+        res.json({ uploadId: rows[0].id, archive: await archiveStore.load(rows[0].final_hash) });
+    } catch (err) {
+        log.error('Archive entries failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+// GET /uploads?status=UPLOADING,FAILED&from=&to=&filename=&limit=&cursor=
+exports.listUploads = async (req, res) => {
+    try {
+        res.json(await uploadStatus.list(req.query, req.principal));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        log.error('Upload listing failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+// Abort one upload: stop accepting chunks, drop its partial data and chunk rows, keep the row as CANCELLED
+exports.cancelUpload = async (req, res) => {
+    const { uploadId } = req.params;
+
     try {
-        // 1. Transaction/Lock check (The "Double-Finalize" solution)
         const [rows] = await db.query('SELECT * FROM uploads WHERE id = ?', [uploadId]);
         if (rows.length === 0) return res.status(404).json({ error: 'Upload not found' });
-        
         const upload = rows[0];
-        
-        if (upload.status === 'COMPLETED') {
-             return res.json({ status: 'COMPLETED', message: 'Already completed' });
-        }
-        
-        if (upload.status === 'PROCESSING') {
-             return res.status(409).json({ error: 'Already processing' });
-        }
-
-        // Set to PROCESSING to lock others
-        await db.query('UPDATE uploads SET status = "PROCESSING" WHERE id = ?', [uploadId]);
-
-        // 2. Validate all chunks represent? (Optional, if we trust the hash check)
-        // Let's do the hash check.
-        
-        const filePath = getFilePath(uploadId);
-        // Requirement: "You must not load the entire file into memory."
-        // We must stream the hash calculation.
-        
-        const hash = crypto.createHash('sha256');
-        const stream = fs.createReadStream(filePath);
-        
-        stream.on('data', (data) => hash.update(data));
-        stream.on('end', async () => {
-            const serverHash = hash.digest('hex');
-            
-            // Allow for localized testing mismatch if client hash isn't sent or implemented yet, 
-            // but strict check logic is here or in PROD.
-            // For now, if clientHash is provided, check it.
-            if (clientHash && clientHash !== serverHash) {
-                 await db.query('UPDATE uploads SET status = "FAILED" WHERE id = ?', [uploadId]);
-                 return res.status(400).json({ error: 'Hash mismatch', serverHash, clientHash });
-            }
 
-            // 3. The "Peek" Requirement: Unzip and list files without extracting
-            // We use yauzl
-            let zipEntries = [];
-            
-            yauzl.open(filePath, { lazyEntries: true }, (err, zipfile) => {
-                if (err) {
-                    // Not a zip file? That's okay, maybe just finalize.
-                    // But requirement implies ZIP support.
-                    console.warn('Yauzl error (maybe not a zip):', err.message);
-                    finish(serverHash, ["(Not a valid ZIP archive)"]);
-                    return;
-                }
-                
-                zipfile.readEntry();
-                zipfile.on('entry', (entry) => {
-                    zipEntries.push(entry.fileName);
-                    zipfile.readEntry();
-                });
-                zipfile.on('end', () => {
-                    finish(serverHash, zipEntries);
-                });
-                zipfile.on('error', (e) => {
-                     finish(serverHash, ["(Error reading ZIP structure)"]);
-                });
-            });
-
-            async function finish(finalHash, entries) {
-                await db.query(
-                    'UPDATE uploads SET status = "COMPLETED", final_hash = ? WHERE id = ?', 
-                    [finalHash, uploadId]
-                );
-                res.json({ 
-                    status: 'COMPLETED', 
-                    uploadId, 
-                    hash: finalHash,
-                    zipContent: entries
-                });
-            }
-        });
-        
-        stream.on('error', (err) => {
-             db.query('UPDATE uploads SET status = "FAILED" WHERE id = ?', [uploadId]);
-             res.status(500).json({ error: 'File read error during hashing' });
-        });
+        if (upload.status === 'CANCELLED') return res.json({ uploadId: upload.id, status: 'CANCELLED' });
+
+        // Under the row lock, so a finalize that claimed the upload in the meantime wins
+        // and chunk acknowledgements in flight either land first or are refused
+        const cancelled = await withUploadLock(uploadId, ['UPLOADING', 'FAILED'], (conn) =>
+            conn.query('UPDATE uploads SET status = "CANCELLED" WHERE id = ?', [uploadId])
+        );
+        if (!cancelled) {
+            return res.status(409).json({ error: `Upload is ${upload.status} and can no longer be cancelled` });
+        }
 
+        // Chunks still streaming fail their acknowledgement (status is no longer UPLOADING)
+        await blobStore.removeIfUnreferenced(blobStore.storageKeyFor(upload), upload.storage_upload_id);
+        await db.query('DELETE FROM chunks WHERE upload_id = ?', [uploadId]);
+        // A FAILED upload may have got as far as its processing hooks
+        await hooks.removeOutputs(await hooks.load(uploadId));
+        webhooks.emit('upload.cancelled', upload);
+
+        res.json({ uploadId: upload.id, status: 'CANCELLED' });
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: 'Finalization error' });
+        log.error('Cancel failed', { err });
+        res.status(500).json({ error: 'Cancel failed' });
     }
 };
 
+// Kept for compatibility: one immediate janitor run (see services/janitor and /api/janitor)
 exports.cleanup = async (req, res) => {
-    // Basic logic to clean orphaned files (older than 24h?)
-    // This is just a stub for the requirement "Cleanup".
     try {
-        const [rows] = await db.query('SELECT * FROM uploads WHERE status = "UPLOADING" AND created_at < NOW() - INTERVAL 1 DAY');
-        for (const row of rows) {
-             const fPath = getFilePath(row.id);
-             if (fs.existsSync(fPath)) await fs.remove(fPath);
-             await db.query('UPDATE uploads SET status = "FAILED" WHERE id = ?', [row.id]);
-        }
-        res.json({ cleaned: rows.length });
+        const report = await janitor.run({ trigger: 'manual' });
+        res.json({ cleaned: report.expiredCount, report });
     } catch(e) {
-        res.status(500).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.message });
     }
 };
@@ -0,0 +1,51 @@
+const webhooks = require('../services/webhooks');
+const log = require('../services/logger');
+
+// Recent deliveries, newest first. ?status=PENDING|DELIVERED|FAILED&event=&uploadId=&endpoint=&limit=
+exports.listDeliveries = async (req, res) => {
+    const { status, event, uploadId, endpoint } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return res.status(400).json({ error: 'limit must be between 1 and 200' });
+    }
+    if (status !== undefined && !webhooks.DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${webhooks.DELIVERY_STATUSES.join(', ')}` });
+    }
+    if (event !== undefined && !webhooks.EVENTS[event]) {
+        return res.status(400).json({ error: `event must be one of: ${Object.keys(webhooks.EVENTS).join(', ')}` });
+    }
+
+    try {
+        res.json({
+            config: webhooks.describeConfig(),
+            deliveries: await webhooks.listDeliveries({ status, event, uploadId, endpoint, limit })
+        });
+    } catch (err) {
+        log.error('Webhook delivery listing failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+exports.getDelivery = async (req, res) => {
+    try {
+        const delivery = await webhooks.getDelivery(req.params.deliveryId);
+        if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+        res.json(delivery);
+    } catch (err) {
+        log.error('Webhook delivery lookup failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+// Queue the delivery's event again for its endpoint; answers with the new delivery
+exports.redeliver = async (req, res) => {
+    try {
+        const delivery = await webhooks.redeliver(req.params.deliveryId);
+        if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+        res.status(202).json(delivery);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+        log.error('Webhook redelivery failed', { err });
+        res.status(500).json({ error: 'Database error' });
+    }
+};
@@ -0,0 +1,76 @@
+const db = require('../db');
+const auth = require('../services/auth');
+const log = require('../services/logger');
+
+// Authentication and ownership checks for the API routes.
+// Credentials: `X-API-Key`, `Authorization: Bearer <token>`, or (GET/HEAD only, for EventSource
+// and plain download links, which can't send headers) an `access_token` query parameter holding
+// a bearer token. API keys are never accepted in URLs: they'd end up in logs and browser history.
+
+const credentialFor = (req) => {
+    if (req.headers['x-api-key']) return () => auth.verifyApiKey(req.headers['x-api-key']);
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (match) return () => auth.verifyToken(match[1]);
+
+    if ((req.method === 'GET' || req.method === 'HEAD') && typeof req.query.access_token === 'string') {
+        return () => auth.verifyToken(req.query.access_token);
+    }
+    return null;
+};
+
+// Sets req.principal ({ ownerId, admin, via }) or answers 401
+exports.authenticate = (req, res, next) => {
+    if (req.method === 'OPTIONS') return next(); // CORS preflights and tus discovery carry no credentials
+    if (!auth.config.enabled) {
+        req.principal = auth.ANONYMOUS;
+        return next();
+    }
+
+    const verify = credentialFor(req);
+    if (!verify) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    try {
+        req.principal = verify();
+    } catch (err) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(err.status || 401).json({ error: err.message });
+    }
+    next();
+};
+
+exports.requireAdmin = (req, res, next) => {
+    if (!req.principal || !req.principal.admin) return res.status(403).json({ error: 'Administrator access required' });
+    next();
+};
+
+// router.param handlers: someone else's upload (or job) answers 404, exactly like a missing one,
+// so IDs can't be probed. Administrators reach every upload.
+const owns = (req, ownerId) => req.principal.admin || ownerId === req.principal.ownerId;
+
+exports.uploadOwner = async (req, res, next, uploadId) => {
+    try {
+        const [rows] = await db.query('SELECT owner_id FROM uploads WHERE id = ?', [uploadId]);
+        if (rows.length === 0 || !owns(req, rows[0].owner_id)) return res.status(404).json({ error: 'Upload not found' });
+        log.setContext({ uploadId });
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.jobOwner = async (req, res, next, jobId) => {
+    try {
+        const [rows] = await db.query(
+            'SELECT u.id, u.owner_id FROM finalize_jobs j JOIN uploads u ON u.id = j.upload_id WHERE j.id = ?',
+            [jobId]
+        );
+        if (rows.length === 0 || !owns(req, rows[0].owner_id)) return res.status(404).json({ error: 'Job not found' });
+        log.setContext({ uploadId: rows[0].id, jobId });
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,41 @@
+const rateLimiter = require('../services/rateLimiter');
+const metrics = require('../services/metrics');
+
+// Request rate and chunk write limits (see services/rateLimiter.js). Refusals answer 429 with
+// Retry-After (whole seconds), which FileUploader waits out instead of its own backoff.
+
+const CHUNK_WRITE_RETRY_SECONDS = 1;
+
+// Owner when authenticated, else the remote address (with auth disabled everyone is "anonymous")
+const clientKey = (req) => (req.principal && req.principal.via !== 'none' ? `owner:${req.principal.ownerId}` : `ip:${req.ip}`);
+
+const tooManyRequests = (res, retryAfterSeconds, message) => {
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ error: message, code: 'RATE_LIMITED', retryAfter: retryAfterSeconds });
+};
+
+exports.rateLimit = (req, res, next) => {
+    if (req.method === 'OPTIONS') return next();
+    const waitMs = rateLimiter.takeRequest(clientKey(req));
+    if (waitMs > 0) {
+        metrics.rateLimited.inc({ limit: 'requests' });
+        return tooManyRequests(res, Math.ceil(waitMs / 1000), 'Too many requests');
+    }
+    next();
+};
+
+// For chunk PUT and tus PATCH routes: holds a write slot until the response is done and
+// sets req.throttle for ingest.receive
+exports.chunkWriteSlot = (req, res, next) => {
+    const client = clientKey(req);
+    const release = rateLimiter.acquireWrite(client, req.params.uploadId);
+    if (!release) {
+        metrics.rateLimited.inc({ limit: 'chunk_writes' });
+        req.resume(); // discard the body so the refusal can still be sent
+        return tooManyRequests(res, CHUNK_WRITE_RETRY_SECONDS, 'Too many concurrent chunk uploads');
+    }
+    // 'close' follows 'finish', and also fires alone when the client goes away
+    res.on('close', release);
+    req.throttle = rateLimiter.throttleFor(client);
+    next();
+};
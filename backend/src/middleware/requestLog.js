@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const log = require('../services/logger');
+const metrics = require('../services/metrics');
+
+// First middleware: gives every request an id (the caller's X-Request-Id when it looks sane,
+// else a new UUID), echoes it in the response, and runs the rest of the request inside a log
+// context, so every line logged while serving it carries the id (see services/logger.js).
+// Handlers that learn the upload id add it with log.setContext({ uploadId }).
+// When the response is done: one "request" line, and the HTTP metrics.
+
+const INCOMING_ID = /^[\w.:-]{1,64}$/;
+
+// Route pattern (e.g. /api/upload/:uploadId/chunk/:chunkIndex) as metric label: never the raw URL
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+exports.requestLog = (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    log.runWithContext({ requestId }, () => {
+        const startedAt = process.hrtime.bigint();
+
+        // 'close' also fires when the client goes away before the response is complete
+        res.once('close', AsyncResource.bind(() => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            const route = routeOf(req);
+            const status = res.writableFinished ? res.statusCode : 499; // 499: client closed the request
+            metrics.httpRequests.inc({ method: req.method, route, status });
+            metrics.httpDuration.observe({ method: req.method, route }, seconds);
+
+            // Query strings are left out: they can hold access tokens
+            const fields = {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                route,
+                status,
+                durationMs: Math.round(seconds * 1000),
+                bytesIn: Number(req.headers['content-length']) || 0,
+                ownerId: req.principal ? req.principal.ownerId : undefined
+            };
+            if (route === '/metrics') log.debug('request', fields);
+            else if (status >= 500) log.warn('request', fields);
+            else log.info('request', fields);
+        }));
+
+        next();
+    });
+};
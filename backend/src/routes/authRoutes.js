@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+
+// Short-lived bearer tokens for the current credential, and the principal behind it
+router.post('/token', authController.issueToken);
+router.get('/me', authController.whoami);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const janitorController = require('../controllers/janitorController');
+const { requireAdmin } = require('../middleware/auth');
+
+// Housekeeping spans every owner's uploads: administrators only
+router.use(requireAdmin);
+
+// Run history (each run's report) and manual trigger, optionally as a dry run
+router.get('/runs', janitorController.listRuns);
+router.get('/runs/:runId', janitorController.getRun);
+router.post('/run', janitorController.runNow);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { jobOwner } = require('../middleware/auth');
+
+// Jobs are visible to the owner of their upload
+router.param('jobId', jobOwner);
+
+// Finalize jobs: poll the state, or follow it as server-sent events
+router.get('/:jobId', jobController.getJob);
+router.get('/:jobId/events', jobController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const tusController = require('../controllers/tusController');
+const { uploadOwner } = require('../middleware/auth');
+const { chunkWriteSlot } = require('../middleware/rateLimit');
+
+// tus 1.0 endpoint (mounted at /api/tus), sharing persistence and finalize with /api/upload
+router.use(tusController.tusHeaders);
+router.param('uploadId', uploadOwner);
+
+// Discovery: version, extensions, checksum algorithms
+router.options('/', tusController.options);
+
+// creation
+router.post('/', tusController.create);
+
+// core: current offset / append bytes (PATCH bodies are streamed into storage, not parsed)
+router.head('/:uploadId', tusController.head);
+router.patch('/:uploadId', chunkWriteSlot, tusController.patch);
+
+// termination
+router.delete('/:uploadId', tusController.terminate);
+
+module.exports = router;
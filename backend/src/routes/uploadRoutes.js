@@ -1,17 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const uploadController = require('../controllers/uploadController');
+const downloadController = require('../controllers/downloadController');
+const { uploadOwner, requireAdmin } = require('../middleware/auth');
+const { chunkWriteSlot } = require('../middleware/rateLimit');
 
-// Clean up endpoint (optional, good for testing)
-router.delete('/files', uploadController.cleanup);
+// Every :uploadId route only reaches the caller's own uploads
+router.param('uploadId', uploadOwner);
+
+// Clean up endpoint (optional, good for testing): a janitor run, so administrators only
+router.delete('/files', requireAdmin, uploadController.cleanup);
+
+// 0. Preflight - Would init accept this file? (size, type and quota policy; nothing reserved)
+router.post('/upload/check', uploadController.checkUpload);
 
 // 1. Handshake - Initiate upload and check for existing chunks
 router.post('/upload/init', uploadController.initiateUpload);
 
-// 2. Upload Chunk - Stream binary data to a specific offset
-router.put('/upload/:uploadId/chunk/:chunkIndex', uploadController.uploadChunk);
+// 2. Upload Chunk - Stream binary data to a specific offset (concurrent writes and bandwidth are limited per client)
+router.put('/upload/:uploadId/chunk/:chunkIndex', chunkWriteSlot, uploadController.uploadChunk);
 
-// 3. Finalize - Verify hash and unzip peek
+// 3. Finalize - Verify hash and inspect the ZIP
 router.post('/upload/:uploadId/finalize', uploadController.finalizeUpload);
 
+// Status - Received/missing ranges of one upload, and a filtered, paginated listing
+router.get('/upload/:uploadId', uploadController.getUpload);
+router.delete('/upload/:uploadId', uploadController.cancelUpload);
+router.get('/uploads', uploadController.listUploads);
+
+// Download - The stored file of a COMPLETED upload (ETag, conditional GETs, ranges)
+router.get('/upload/:uploadId/content', downloadController.getContent);
+
+// Archive contents (per-entry metadata and warnings) of a COMPLETED upload, and one ZIP entry's file
+router.get('/upload/:uploadId/entries', uploadController.getEntries);
+router.get('/upload/:uploadId/entries/*', downloadController.getEntry);
+
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { requireAdmin } = require('../middleware/auth');
+
+// Deliveries cover every owner's uploads: administrators only
+router.use(requireAdmin);
+
+// Delivery log (filtered, newest first), one delivery with its payload, and manual redelivery
+router.get('/deliveries', webhookController.listDeliveries);
+router.get('/deliveries/:deliveryId', webhookController.getDelivery);
+router.post('/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
+module.exports = router;
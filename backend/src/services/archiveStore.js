@@ -0,0 +1,102 @@
+const db = require('../db');
+const { withTransaction } = require('./transaction');
+
+// Persisted archive inspections, keyed by content hash: every upload of the same bytes
+// (dedup included) shares one `archive_inspections` row and its `archive_entries`.
+// Rows go away with the blob (ON DELETE CASCADE).
+
+const INSERT_BATCH = 500;
+
+const has = async (hash) => {
+    const [rows] = await db.query('SELECT 1 FROM archive_inspections WHERE hash = ?', [hash]);
+    return rows.length > 0;
+};
+
+// Store an inspection (see archives.inspect) unless one exists for this hash already
+const save = (hash, inspection) => withTransaction(async (conn) => {
+    const [inserted] = await conn.query(
+        `INSERT IGNORE INTO archive_inspections
+            (hash, format, entry_count, total_uncompressed, total_compressed, truncated, warnings, error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [hash, inspection.format, inspection.totals.entries, inspection.totals.uncompressedSize,
+            inspection.totals.compressedSize, inspection.truncated, JSON.stringify(inspection.warnings),
+            inspection.error ? inspection.error.slice(0, 255) : null]
+    );
+    if (inserted.affectedRows === 0) return false;
+
+    for (let i = 0; i < inspection.entries.length; i += INSERT_BATCH) {
+        const rows = inspection.entries.slice(i, i + INSERT_BATCH).map(e => [
+            hash, e.path, e.isDirectory, e.uncompressedSize, e.compressedSize, e.crc32,
+            e.modifiedAt, e.compressionMethod, e.encrypted, e.linkTarget, e.warnings.join(',') || null
+        ]);
+        await conn.query(
+            `INSERT INTO archive_entries
+                (hash, path, is_directory, uncompressed_size, compressed_size, crc32, modified_at, compression_method, encrypted, link_target, warnings)
+             VALUES ?`,
+            [rows]
+        );
+    }
+    return true;
+});
+
+const toSummary = (row) => ({
+    format: row.format,
+    entryCount: row.entry_count,
+    totalUncompressed: Number(row.total_uncompressed),
+    totalCompressed: Number(row.total_compressed),
+    truncated: Boolean(row.truncated),
+    warnings: row.warnings ? JSON.parse(row.warnings) : [],
+    error: row.error
+});
+
+const toEntry = (row) => ({
+    path: row.path,
+    isDirectory: Boolean(row.is_directory),
+    uncompressedSize: Number(row.uncompressed_size),
+    compressedSize: row.compressed_size === null ? null : Number(row.compressed_size),
+    crc32: row.crc32,
+    modifiedAt: row.modified_at,
+    compressionMethod: row.compression_method,
+    encrypted: Boolean(row.encrypted),
+    linkTarget: row.link_target,
+    warnings: row.warnings ? row.warnings.split(',') : []
+});
+
+// Summary for a finalize result, from a fresh inspection (no entries)
+const summarize = (inspection) => ({
+    format: inspection.format,
+    entryCount: inspection.totals.entries,
+    totalUncompressed: inspection.totals.uncompressedSize,
+    totalCompressed: inspection.totals.compressedSize,
+    truncated: inspection.truncated,
+    warnings: inspection.warnings,
+    error: inspection.error
+});
+
+// { ...summary, entries } for a stored hash, or null if it wasn't an archive
+const load = async (hash) => {
+    const [rows] = await db.query('SELECT * FROM archive_inspections WHERE hash = ?', [hash]);
+    if (rows.length === 0) return null;
+
+    const [entries] = await db.query('SELECT * FROM archive_entries WHERE hash = ? ORDER BY id', [hash]);
+    return { ...toSummary(rows[0]), entries: entries.map(toEntry) };
+};
+
+const loadSummary = async (hash) => {
+    const [rows] = await db.query('SELECT * FROM archive_inspections WHERE hash = ?', [hash]);
+    return rows.length > 0 ? toSummary(rows[0]) : null;
+};
+
+const findEntry = async (hash, entryPath) => {
+    const [rows] = await db.query('SELECT * FROM archive_entries WHERE hash = ? AND path = ? LIMIT 1', [hash, entryPath]);
+    return rows.length > 0 ? toEntry(rows[0]) : null;
+};
+
+module.exports = {
+    has,
+    save,
+    summarize,
+    load,
+    loadSummary,
+    findEntry
+};
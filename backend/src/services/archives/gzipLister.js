@@ -0,0 +1,70 @@
+const zlib = require('zlib');
+const { pipeline, Writable } = require('stream');
+const storage = require('../storage');
+
+// Plain gzip: a single compressed file. Name and mtime come from the gzip header, the CRC from
+// the trailer; the uncompressed size is counted by decompressing in a stream (the trailer's ISIZE
+// is only the size modulo 4GB). Counting stops just past ARCHIVE_MAX_UNCOMPRESSED_BYTES.
+
+const FEXTRA = 0x04;
+const FNAME = 0x08;
+const HEAD_BYTES = 1024;
+
+const readRange = (storageKey, start, end) => new Promise((resolve, reject) => {
+    const parts = [];
+    storage.createReadStream(storageKey, { start, end })
+        .on('data', (data) => parts.push(data))
+        .on('end', () => resolve(Buffer.concat(parts)))
+        .on('error', reject);
+});
+
+// Original file name (FNAME, latin1, zero-terminated) from the member header, if recorded
+const headerName = (head) => {
+    const flags = head[3];
+    if (!(flags & FNAME)) return null;
+    let offset = 10;
+    if (flags & FEXTRA) offset += 2 + head.readUInt16LE(10);
+    const end = head.indexOf(0, offset);
+    return end > offset ? head.toString('latin1', offset, end) : null;
+};
+
+const countUncompressed = (storageKey, limit) => new Promise((resolve) => {
+    let count = 0;
+    const counter = new Writable({
+        write(data, encoding, callback) {
+            count += data.length;
+            callback(count > limit ? new Error('limit') : null);
+        }
+    });
+    pipeline(storage.createReadStream(storageKey), zlib.createGunzip(), counter, (err) => {
+        resolve({ count, error: err && count <= limit ? err.message : null });
+    });
+});
+
+const list = async (storageKey, { fileSize, filename, limits }) => {
+    const head = await readRange(storageKey, 0, Math.min(fileSize, HEAD_BYTES) - 1);
+    const trailer = fileSize >= 18 ? await readRange(storageKey, fileSize - 8, fileSize - 1) : null;
+    const { count, error } = await countUncompressed(storageKey, limits.maxUncompressedBytes);
+
+    const mtime = head.length >= 8 ? head.readUInt32LE(4) : 0;
+    const name = (headerName(head) || (filename || 'data').replace(/\.(gz|gzip)$/i, '')).replace(/\\/g, '/');
+
+    return {
+        entries: [{
+            path: name,
+            isDirectory: false,
+            uncompressedSize: count,
+            compressedSize: fileSize,
+            crc32: trailer ? trailer.readUInt32LE(0) : null,
+            modifiedAt: mtime ? new Date(mtime * 1000) : null,
+            compressionMethod: 'deflate',
+            encrypted: false,
+            linkTarget: null
+        }],
+        entryCount: 1,
+        truncated: false,
+        error
+    };
+};
+
+module.exports = { list };
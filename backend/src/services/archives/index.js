@@ -0,0 +1,142 @@
+const path = require('path');
+const { sniff } = require('./sniff');
+const log = require('../logger');
+const { envNumber } = require('../../config');
+
+// Archive inspection: the stored file's type is sniffed from its magic bytes, then the matching
+// lister streams its entry list (nothing is extracted). Every lister resolves with
+//   { entries: [{ path, isDirectory, uncompressedSize, compressedSize, crc32, modifiedAt,
+//                 compressionMethod, encrypted, linkTarget }], entryCount, truncated, error }
+// (unknown values are null) and the checks below run the same way for every format:
+// - HIGH_COMPRESSION_RATIO: an entry (or the whole archive) expands beyond ARCHIVE_MAX_RATIO (decompression bombs)
+// - UNCOMPRESSED_SIZE_LIMIT: total expanded size beyond ARCHIVE_MAX_UNCOMPRESSED_BYTES
+// - PATH_TRAVERSAL / ABSOLUTE_PATH: entry names (or link targets) that would escape an extraction directory
+// - TOO_MANY_ENTRIES: more than ARCHIVE_MAX_ENTRIES (listing stops there)
+// - NESTED_ARCHIVE: archives inside the archive (their contents aren't inspected)
+
+const LISTERS = {
+    zip: (key, options) => require('./zipLister').list(key, options),
+    tar: (key, options) => require('./tarLister').list(key, options),
+    'tar.gz': (key, options) => require('./tarLister').list(key, { ...options, gzip: true }),
+    gzip: (key, options) => require('./gzipLister').list(key, options)
+};
+
+// None of these can be turned off: 0 would flag or cut off every archive
+const limits = {
+    maxRatio: envNumber('ARCHIVE_MAX_RATIO', 100, { min: 1 }),
+    ratioMinBytes: envNumber('ARCHIVE_RATIO_MIN_BYTES', 1024 * 1024), // tiny entries compress absurdly well, legitimately
+    maxEntries: envNumber('ARCHIVE_MAX_ENTRIES', 10000, { min: 1 }),
+    maxUncompressedBytes: envNumber('ARCHIVE_MAX_UNCOMPRESSED_BYTES', 10 * 1024 * 1024 * 1024, { min: 1 })
+};
+
+const NESTED_ARCHIVE_EXTENSIONS = new Set(['.zip', '.jar', '.war', '.apk', '.tar', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar']);
+
+const EXAMPLE_PATHS = 10; // per archive-level warning
+
+const escapes = (name) => name.split('/').includes('..');
+const isAbsolute = (name) => name.startsWith('/') || /^[a-zA-Z]:/.test(name);
+
+const entryWarnings = (entry) => {
+    const name = entry.path;
+    const warnings = [];
+    if (isAbsolute(name) || (entry.linkTarget && isAbsolute(entry.linkTarget))) warnings.push('ABSOLUTE_PATH');
+    if (escapes(name) || (entry.linkTarget && escapes(entry.linkTarget))) warnings.push('PATH_TRAVERSAL');
+    if (entry.compressedSize > 0 && entry.uncompressedSize >= limits.ratioMinBytes &&
+        entry.uncompressedSize / entry.compressedSize > limits.maxRatio) {
+        warnings.push('HIGH_COMPRESSION_RATIO');
+    }
+    if (!entry.isDirectory && NESTED_ARCHIVE_EXTENSIONS.has(path.posix.extname(name).toLowerCase())) {
+        warnings.push('NESTED_ARCHIVE');
+    }
+    return warnings;
+};
+
+const MESSAGES = {
+    ABSOLUTE_PATH: 'Entries with absolute paths or link targets',
+    PATH_TRAVERSAL: 'Entries whose path or link target has ".." segments (path traversal)',
+    HIGH_COMPRESSION_RATIO: `Entries with a compression ratio above ${limits.maxRatio}:1 (possible decompression bomb)`,
+    NESTED_ARCHIVE: 'Nested archives (not inspected)'
+};
+
+// Archive-level warnings: one per code, with a count and a few example paths
+const summarizeWarnings = (entries, totals, fileSize, truncated) => {
+    const warnings = [];
+    const byCode = new Map();
+    for (const e of entries) {
+        for (const code of e.warnings) {
+            if (!byCode.has(code)) byCode.set(code, []);
+            byCode.get(code).push(e.path);
+        }
+    }
+    for (const [code, paths] of byCode) {
+        warnings.push({ code, message: MESSAGES[code], count: paths.length, examples: paths.slice(0, EXAMPLE_PATHS) });
+    }
+
+    // Whole-archive ratio: catches many small entries (or a .tar.gz, whose entries have no ratio of their own)
+    if (!byCode.has('HIGH_COMPRESSION_RATIO') && fileSize > 0 && totals.uncompressedSize >= limits.ratioMinBytes &&
+        totals.uncompressedSize / fileSize > limits.maxRatio) {
+        warnings.push({
+            code: 'HIGH_COMPRESSION_RATIO',
+            message: `Archive expands ${Math.round(totals.uncompressedSize / fileSize)}x (possible decompression bomb)`
+        });
+    }
+    if (totals.uncompressedSize > limits.maxUncompressedBytes) {
+        warnings.push({
+            code: 'UNCOMPRESSED_SIZE_LIMIT',
+            message: `Archive expands to more than ${limits.maxUncompressedBytes} bytes`
+        });
+    }
+    if (truncated && entries.length >= limits.maxEntries) {
+        warnings.push({ code: 'TOO_MANY_ENTRIES', message: `Listing stopped after ${limits.maxEntries} entries` });
+    }
+    return warnings;
+};
+
+// Resolves with { contentType, inspection }. `inspection` is null unless the file is an archive
+// we can list, else { format, entries, totals: { entries, uncompressedSize, compressedSize },
+// truncated, warnings, error } (`error`: a damaged archive; entries up to that point are kept).
+const inspect = async (storageKey, fileSize, { filename } = {}) => {
+    const { format, contentType } = await sniff(storageKey, fileSize);
+    if (!format || !LISTERS[format]) return { contentType, inspection: null };
+
+    let listed;
+    try {
+        listed = await LISTERS[format](storageKey, { fileSize, filename, limits });
+    } catch (err) {
+        // Right magic bytes but unreadable (e.g. a ZIP without a central directory)
+        log.warn('Could not list archive', { format, err });
+        return { contentType, inspection: null };
+    }
+
+    const entries = listed.entries.map(e => ({ ...e, warnings: entryWarnings(e) }));
+    const totals = {
+        entries: listed.entryCount,
+        uncompressedSize: entries.reduce((sum, e) => sum + e.uncompressedSize, 0),
+        // The file itself where entries have no compressed size of their own (.tar.gz)
+        compressedSize: entries.every(e => e.compressedSize !== null)
+            ? entries.reduce((sum, e) => sum + e.compressedSize, 0)
+            : fileSize
+    };
+
+    return {
+        contentType,
+        inspection: {
+            format,
+            entries,
+            totals,
+            truncated: listed.truncated,
+            warnings: summarizeWarnings(entries, totals, fileSize, listed.truncated),
+            error: listed.error
+        }
+    };
+};
+
+// Single ZIP entry as a stream (see zipLister.openEntry)
+const openZipEntry = (storageKey, entryPath, range) => require('./zipLister').openEntry(storageKey, entryPath, range);
+
+module.exports = {
+    limits,
+    sniff,
+    inspect,
+    openZipEntry
+};
@@ -0,0 +1,76 @@
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const storage = require('../storage');
+
+// Content-type detection from magic bytes (the filename extension is never trusted).
+// Resolves with { format, contentType }; `format` names an archive lister, or is null.
+
+const HEAD_BYTES = 512;
+
+// [offset, signature bytes, format, content type]
+const SIGNATURES = [
+    [0, [0x50, 0x4b, 0x03, 0x04], 'zip', 'application/zip'],
+    [0, [0x50, 0x4b, 0x05, 0x06], 'zip', 'application/zip'], // empty archive
+    [0, [0x50, 0x4b, 0x07, 0x08], 'zip', 'application/zip'], // spanned marker
+    [0, [0x1f, 0x8b], 'gzip', 'application/gzip'],
+    [0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], null, 'application/x-7z-compressed'],
+    [0, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], null, 'application/vnd.rar'],
+    [0, [0x42, 0x5a, 0x68], null, 'application/x-bzip2'],
+    [0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], null, 'application/x-xz'],
+    [0, [0x25, 0x50, 0x44, 0x46, 0x2d], null, 'application/pdf'],
+    [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], null, 'image/png'],
+    [0, [0xff, 0xd8, 0xff], null, 'image/jpeg'],
+    [0, [0x47, 0x49, 0x46, 0x38], null, 'image/gif']
+];
+
+const matches = (head, offset, bytes) =>
+    head.length >= offset + bytes.length && bytes.every((b, i) => head[offset + i] === b);
+
+// POSIX/GNU tars carry "ustar" at 257; old V7 tars only have a valid header checksum
+const isTarHeader = (head) => {
+    if (head.length < HEAD_BYTES || head[0] === 0) return false;
+    if (head.toString('latin1', 257, 262) === 'ustar') return true;
+
+    const recorded = parseInt(head.toString('latin1', 148, 156).replace(/\0.*$/, '').trim(), 8);
+    if (isNaN(recorded)) return false;
+    let sum = 0;
+    for (let i = 0; i < HEAD_BYTES; i++) sum += (i >= 148 && i < 156) ? 0x20 : head[i];
+    return sum === recorded;
+};
+
+// First `bytes` bytes of a readable, then the stream is released
+const readHead = (stream, bytes) => new Promise((resolve, reject) => {
+    const parts = [];
+    let length = 0;
+    const done = () => {
+        stream.destroy();
+        resolve(Buffer.concat(parts, length).subarray(0, bytes));
+    };
+    stream.on('data', (data) => {
+        parts.push(data);
+        length += data.length;
+        if (length >= bytes) done();
+    });
+    stream.on('end', done);
+    stream.on('error', reject);
+});
+
+const sniff = async (storageKey, fileSize) => {
+    if (fileSize === 0) return { format: null, contentType: 'application/octet-stream' };
+    const head = await readHead(storage.createReadStream(storageKey, { start: 0, end: Math.min(fileSize, HEAD_BYTES) - 1 }), HEAD_BYTES);
+
+    const found = SIGNATURES.find(([offset, bytes]) => matches(head, offset, bytes));
+    if (found && found[2] === 'gzip') {
+        // A gzipped tar is only recognizable after decompressing its first header
+        const gunzip = pipeline(storage.createReadStream(storageKey), zlib.createGunzip(), () => {});
+        const inner = await readHead(gunzip, HEAD_BYTES).catch(() => Buffer.alloc(0));
+        return isTarHeader(inner)
+            ? { format: 'tar.gz', contentType: 'application/gzip' }
+            : { format: 'gzip', contentType: 'application/gzip' };
+    }
+    if (found) return { format: found[2], contentType: found[3] };
+    if (isTarHeader(head)) return { format: 'tar', contentType: 'application/x-tar' };
+    return { format: null, contentType: 'application/octet-stream' };
+};
+
+module.exports = { sniff };
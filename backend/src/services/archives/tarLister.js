@@ -0,0 +1,69 @@
+const zlib = require('zlib');
+const { pipeline, Transform } = require('stream');
+const tar = require('tar-stream');
+const storage = require('../storage');
+
+// TAR and gzip-compressed TAR. A tar has no central directory, so the whole stream is read once,
+// headers parsed and entry bodies discarded as they pass. Per-entry compressed sizes don't exist
+// inside a .tar.gz (the whole stream is compressed at once), so they're reported as null there.
+// The decompressed stream is capped at maxUncompressedBytes, like a plain gzip: a small .tar.gz
+// can hold one entry of many gigabytes.
+
+const LINK_TYPES = ['symlink', 'link'];
+
+const list = (storageKey, { limits, gzip = false }) => new Promise((resolve) => {
+    const entries = [];
+    const extract = tar.extract();
+    const source = storage.createReadStream(storageKey);
+    let settled = false;
+
+    const finish = (truncated, error = null) => {
+        if (settled) return;
+        settled = true;
+        resolve({ entries, entryCount: entries.length, truncated, error });
+    };
+
+    extract.on('entry', (header, stream, next) => {
+        if (entries.length >= limits.maxEntries) {
+            // One entry past the limit: the listing really is incomplete, stop reading here
+            finish(true);
+            source.destroy();
+            return;
+        }
+
+        const isDirectory = header.type === 'directory';
+        const name = header.name.replace(/\\/g, '/');
+
+        entries.push({
+            path: isDirectory && !name.endsWith('/') ? `${name}/` : name,
+            isDirectory,
+            uncompressedSize: header.size || 0,
+            compressedSize: gzip ? null : (header.size || 0),
+            crc32: null,
+            modifiedAt: header.mtime || null,
+            compressionMethod: gzip ? 'gzip' : 'stored',
+            encrypted: false,
+            linkTarget: LINK_TYPES.includes(header.type) ? header.linkname : null
+        });
+
+        stream.on('end', next);
+        stream.resume();
+    });
+
+    let inflated = 0;
+    const counter = new Transform({
+        transform(data, encoding, callback) {
+            inflated += data.length;
+            if (inflated > limits.maxUncompressedBytes) {
+                finish(true, 'uncompressed size limit exceeded');
+                return callback(new Error('limit'));
+            }
+            callback(null, data);
+        }
+    });
+
+    const streams = gzip ? [source, zlib.createGunzip(), counter, extract] : [source, extract];
+    pipeline(...streams, (err) => finish(false, err ? err.message : null));
+});
+
+module.exports = { list };
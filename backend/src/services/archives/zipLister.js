@@ -0,0 +1,82 @@
+const { openZip } = require('../zipReader');
+
+// ZIP: reads the central directory only (random-access ranged reads through the storage driver).
+
+const COMPRESSION_METHODS = { 0: 'stored', 8: 'deflate', 9: 'deflate64', 12: 'bzip2', 14: 'lzma', 93: 'zstd', 99: 'aes' };
+
+// Names are read raw (decodeStrings: false): yauzl would otherwise reject traversal paths outright,
+// and we want to report them. UTF-8 when the language-encoding flag is set, else CP437,
+// approximated as latin1 (identical for ASCII).
+const decodeName = (entry) => {
+    const raw = entry.fileName;
+    const name = (entry.generalPurposeBitFlag & 0x800) ? raw.toString('utf8') : raw.toString('latin1');
+    return name.replace(/\\/g, '/');
+};
+
+const list = async (storageKey, { limits }) => {
+    const zipfile = await openZip(storageKey, { lazyEntries: true, decodeStrings: false });
+    const entries = [];
+
+    const error = await new Promise((resolve) => {
+        zipfile.on('entry', (entry) => {
+            const name = decodeName(entry);
+            const modifiedAt = entry.getLastModDate();
+
+            entries.push({
+                path: name,
+                isDirectory: name.endsWith('/'),
+                uncompressedSize: entry.uncompressedSize,
+                compressedSize: entry.compressedSize,
+                crc32: entry.crc32,
+                modifiedAt: isNaN(modifiedAt.getTime()) ? null : modifiedAt,
+                compressionMethod: COMPRESSION_METHODS[entry.compressionMethod] || `method-${entry.compressionMethod}`,
+                encrypted: (entry.generalPurposeBitFlag & 0x1) !== 0,
+                linkTarget: null
+            });
+
+            if (entries.length >= limits.maxEntries) {
+                zipfile.close();
+                return resolve(null);
+            }
+            zipfile.readEntry();
+        });
+        zipfile.on('end', () => resolve(null));
+        zipfile.on('error', (err) => resolve(err.message));
+        zipfile.readEntry();
+    });
+
+    return {
+        entries,
+        entryCount: zipfile.entryCount,
+        truncated: zipfile.entryCount > limits.maxEntries,
+        error
+    };
+};
+
+// Central directory entry by decoded path, or null
+const findEntry = (zipfile, entryPath) => new Promise((resolve, reject) => {
+    zipfile.on('entry', (entry) => {
+        if (decodeName(entry) === entryPath) return resolve(entry);
+        zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(null));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+});
+
+// Decompressed contents of one entry, read through the driver's ranged reads (only that entry's
+// bytes are fetched). `range` ({ start, end }, end inclusive) is only possible for stored entries,
+// whose data is the content itself. Resolves with { entry, stream }, or null if there's no such entry.
+const openEntry = async (storageKey, entryPath, range = null) => {
+    const zipfile = await openZip(storageKey, { lazyEntries: true, decodeStrings: false });
+    const entry = await findEntry(zipfile, entryPath);
+    if (!entry) return null;
+
+    const options = range ? { start: range.start, end: range.end + 1 } : {};
+    const stream = await new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, options, (err, readStream) => (err ? reject(err) : resolve(readStream)));
+    });
+    return { entry, stream };
+};
+
+module.exports = { list, openEntry, decodeName };
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const log = require('./logger');
+const { envNumber } = require('../config');
+
+// Credentials, verified locally (no call to an auth server):
+// - API keys from configuration: API_KEYS="owner:key[,owner:key:admin...]". Sent as `X-API-Key: <key>`.
+// - Signed bearer tokens: HS256 JWTs signed with AUTH_TOKEN_SECRET, `sub` = owner id,
+//   `scope: "admin"` for administrators. Sent as `Authorization: Bearer <token>`. Issued by
+//   POST /api/auth/token, or by any other service that shares the secret.
+// A verified credential becomes a principal: { ownerId, admin, via }.
+
+const authError = (status, message) => Object.assign(new Error(message), { status });
+
+const OWNER_ID_PATTERN = /^[\w.@-]{1,64}$/;
+
+const parseApiKeys = (value) => {
+    const keys = [];
+    for (const item of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const [ownerId, key, role] = item.split(':');
+        if (!OWNER_ID_PATTERN.test(ownerId || '') || !key) {
+            throw new Error(`Invalid API_KEYS entry "${item}" (expected owner:key[:admin])`);
+        }
+        // Compared by digest, so lookups take the same time whatever the key
+        keys.push({ ownerId, digest: crypto.createHash('sha256').update(key).digest(), admin: role === 'admin' });
+    }
+    return keys;
+};
+
+const config = {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    tokenTtlSeconds: envNumber('AUTH_TOKEN_TTL_SECONDS', 15 * 60, { min: 1 }),
+    issuer: process.env.AUTH_TOKEN_ISSUER || null,
+    audience: process.env.AUTH_TOKEN_AUDIENCE || null
+};
+
+let secret = process.env.AUTH_TOKEN_SECRET;
+if (!secret) {
+    // Tokens then only verify on this instance, until it restarts
+    if (config.enabled) log.warn('AUTH_TOKEN_SECRET not set: using a random per-process secret for bearer tokens');
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+// With auth disabled every request acts as one anonymous administrator
+const ANONYMOUS = { ownerId: 'anonymous', admin: true, via: 'none' };
+
+const verifyApiKey = (key) => {
+    const digest = crypto.createHash('sha256').update(key).digest();
+    const found = config.apiKeys.find(k => crypto.timingSafeEqual(k.digest, digest));
+    if (!found) throw authError(401, 'Invalid API key');
+    return { ownerId: found.ownerId, admin: found.admin, via: 'api-key' };
+};
+
+const base64url = (data) => Buffer.from(data).toString('base64url');
+const sign = (input) => crypto.createHmac('sha256', secret).update(input).digest();
+
+const signToken = ({ ownerId, admin }, ttlSeconds = config.tokenTtlSeconds) => {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        sub: ownerId,
+        iat: now,
+        exp: now + ttlSeconds,
+        ...(admin ? { scope: 'admin' } : {}),
+        ...(config.issuer ? { iss: config.issuer } : {}),
+        ...(config.audience ? { aud: config.audience } : {})
+    };
+    const input = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+    return { token: `${input}.${sign(input).toString('base64url')}`, expiresAt: new Date(claims.exp * 1000) };
+};
+
+const verifyToken = (token) => {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw authError(401, 'Malformed bearer token');
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (err) {
+        throw authError(401, 'Malformed bearer token');
+    }
+    if (!header || !claims || typeof claims !== 'object') throw authError(401, 'Malformed bearer token');
+    // Only the algorithm we sign with; never "none" or whatever the token asks for
+    if (header.alg !== 'HS256') throw authError(401, 'Unsupported token algorithm');
+
+    const expected = sign(`${parts[0]}.${parts[1]}`);
+    const actual = Buffer.from(parts[2], 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw authError(401, 'Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp <= now) throw authError(401, 'Token expired');
+    if (typeof claims.nbf === 'number' && claims.nbf > now) throw authError(401, 'Token not yet valid');
+    if (config.issuer && claims.iss !== config.issuer) throw authError(401, 'Token issuer mismatch');
+    if (config.audience && ![].concat(claims.aud).includes(config.audience)) throw authError(401, 'Token audience mismatch');
+    if (typeof claims.sub !== 'string' || !OWNER_ID_PATTERN.test(claims.sub)) throw authError(401, 'Token has no valid subject');
+
+    const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ') : [];
+    return { ownerId: claims.sub, admin: scopes.includes('admin'), via: 'token' };
+};
+
+module.exports = {
+    config,
+    ANONYMOUS,
+    verifyApiKey,
+    signToken,
+    verifyToken
+};
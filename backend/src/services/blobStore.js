@@ -0,0 +1,98 @@
+const db = require('../db');
+const storage = require('./storage');
+const { withTransaction } = require('./transaction');
+
+// Content-addressed view over the stored files (whichever storage driver holds them).
+// Each distinct final_hash is stored once; `blobs.ref_count` tracks how many COMPLETED
+// uploads point at it, so deleting one upload never removes content another still uses.
+
+// Uploads written in place live under their own id until finalize points them elsewhere
+const storageKeyFor = (upload) => upload.storage_key || String(upload.id);
+
+// Register a freshly finalized file. If identical content is already stored, the existing
+// blob gains a reference and its storage key is returned (caller drops its own copy, once
+// this has committed). contentType (sniffed at finalize) is kept from the first registration
+// that knew it. `complete(conn, blobKey)` updates the upload row holding the reference, in the
+// same transaction: if it fails, the reference is rolled back with it.
+const register = (hash, size, storageKey, contentType, complete) => withTransaction(async (conn) => {
+    const [rows] = await conn.query('SELECT * FROM blobs WHERE hash = ? FOR UPDATE', [hash]);
+
+    if (rows.length > 0 && await storage.stat(rows[0].storage_key)) {
+        await conn.query(
+            'UPDATE blobs SET ref_count = ref_count + 1, content_type = COALESCE(content_type, ?) WHERE hash = ?',
+            [contentType, hash]
+        );
+        await complete(conn, rows[0].storage_key);
+        return rows[0].storage_key;
+    }
+
+    if (rows.length > 0) {
+        // Row survived but the file is gone: adopt the new copy, keep the existing references
+        await conn.query(
+            'UPDATE blobs SET storage_key = ?, ref_count = ref_count + 1, content_type = COALESCE(content_type, ?) WHERE hash = ?',
+            [storageKey, contentType, hash]
+        );
+    } else {
+        await conn.query(
+            'INSERT INTO blobs (hash, storage_key, size, ref_count, content_type) VALUES (?, ?, ?, 1, ?)',
+            [hash, storageKey, size, contentType]
+        );
+    }
+    await complete(conn, storageKey);
+    return storageKey;
+});
+
+// Take a reference on existing content (dedup at init). Returns the blob row or null.
+// `insert(conn, blob)` writes the upload row holding the reference, in the same transaction:
+// if it fails, the reference is rolled back with it.
+const acquire = (hash, size, insert) => withTransaction(async (conn) => {
+    const [rows] = await conn.query('SELECT * FROM blobs WHERE hash = ? AND size = ? FOR UPDATE', [hash, size]);
+    if (rows.length === 0) return null;
+
+    const blob = rows[0];
+    if (!(await storage.stat(blob.storage_key))) return null;
+
+    await conn.query('UPDATE blobs SET ref_count = ref_count + 1 WHERE hash = ?', [hash]);
+    await insert(conn, blob);
+    return blob;
+});
+
+// Drop a reference; the file is only removed once nothing points at it
+const release = async (hash) => {
+    const orphanKey = await withTransaction(async (conn) => {
+        const [rows] = await conn.query('SELECT * FROM blobs WHERE hash = ? FOR UPDATE', [hash]);
+        if (rows.length === 0) return null;
+
+        if (rows[0].ref_count > 1) {
+            await conn.query('UPDATE blobs SET ref_count = ref_count - 1 WHERE hash = ?', [hash]);
+            return null;
+        }
+        await conn.query('DELETE FROM blobs WHERE hash = ?', [hash]);
+        return rows[0].storage_key;
+    });
+
+    if (orphanKey) await storage.delete(orphanKey);
+};
+
+// True if a blob (i.e. at least one COMPLETED upload) still points at this storage key
+const isReferenced = async (storageKey) => {
+    const [rows] = await db.query('SELECT 1 FROM blobs WHERE storage_key = ? LIMIT 1', [storageKey]);
+    return rows.length > 0;
+};
+
+// Remove a partial file unless it has been promoted to a shared blob.
+// storageUploadId lets the driver abort an in-progress multipart upload as well.
+const removeIfUnreferenced = async (storageKey, storageUploadId = null) => {
+    if (await isReferenced(storageKey)) return false;
+    await storage.delete(storageKey, { storageUploadId });
+    return true;
+};
+
+module.exports = {
+    storageKeyFor,
+    register,
+    acquire,
+    release,
+    isReferenced,
+    removeIfUnreferenced
+};
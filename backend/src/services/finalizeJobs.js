@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const db = require('../db');
+const finalizer = require('./finalizer');
+const webhooks = require('./webhooks');
+const log = require('./logger');
+const metrics = require('./metrics');
+
+// Finalize as a tracked background job: the request only claims the upload (fast, row lock)
+// and gets a job id back; hashing, archive inspection and blob registration run afterwards.
+// Progress is pushed to in-process subscribers (SSE) and persisted to `finalize_jobs`
+// (throttled), so polling works from any backend instance and after the job is gone from memory.
+
+const PERSIST_INTERVAL_MS = 1000;
+const EMIT_INTERVAL_MS = 250;
+
+// Jobs running in this process: jobId -> { job, events, lastEmit, lastPersist }
+const live = new Map();
+
+const parseJson = (text) => (text ? JSON.parse(text) : null);
+
+const toJob = (row) => ({
+    jobId: row.id,
+    uploadId: row.upload_id,
+    status: row.status,
+    phase: row.phase,
+    processedBytes: Number(row.processed_bytes),
+    totalBytes: Number(row.total_bytes),
+    result: parseJson(row.result),
+    error: parseJson(row.error),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+});
+
+const isFinished = (job) => job.status !== 'RUNNING';
+
+// Snapshot for clients, with a percentage of the dominant (hashing) work
+const view = (job) => ({
+    ...job,
+    progress: job.totalBytes > 0 ? Math.min(100, Math.floor((job.processedBytes / job.totalBytes) * 100)) : 100
+});
+
+const persist = (job) => db.query(
+    'UPDATE finalize_jobs SET status = ?, phase = ?, processed_bytes = ?, result = ?, error = ?, finished_at = ? WHERE id = ?',
+    [job.status, job.phase, job.processedBytes, job.result && JSON.stringify(job.result),
+        job.error && JSON.stringify(job.error), job.finishedAt, job.jobId]
+);
+
+const get = async (jobId) => {
+    if (live.has(jobId)) return view(live.get(jobId).job);
+    const [rows] = await db.query('SELECT * FROM finalize_jobs WHERE id = ?', [jobId]);
+    return rows.length > 0 ? view(toJob(rows[0])) : null;
+};
+
+const findRunning = async (uploadId) => {
+    const [rows] = await db.query(
+        'SELECT * FROM finalize_jobs WHERE upload_id = ? AND status = "RUNNING" ORDER BY created_at DESC LIMIT 1',
+        [uploadId]
+    );
+    return rows.length > 0 ? get(rows[0].id) : null;
+};
+
+// Answer for a finalize on an upload that is already COMPLETED or QUARANTINED (retry after success, dedup)
+const completedResult = async (uploadId) => {
+    const [rows] = await db.query(
+        'SELECT result FROM finalize_jobs WHERE upload_id = ? AND status = "SUCCEEDED" ORDER BY created_at DESC LIMIT 1',
+        [uploadId]
+    );
+    const [uploads] = await db.query('SELECT status, final_hash FROM uploads WHERE id = ?', [uploadId]);
+    const quarantined = uploads.length > 0 && uploads[0].status === 'QUARANTINED';
+    return {
+        status: quarantined ? 'QUARANTINED' : 'COMPLETED',
+        message: quarantined ? 'Already quarantined' : 'Already completed',
+        uploadId,
+        hash: uploads.length > 0 ? uploads[0].final_hash : null,
+        ...(rows.length > 0 ? parseJson(rows[0].result) : {})
+    };
+};
+
+const execute = async (entry, upload, clientHash) => {
+    const { job } = entry;
+    const observe = metrics.finalizeDuration.startTimer();
+
+    const onProgress = ({ phase, processedBytes }) => {
+        job.phase = phase;
+        job.processedBytes = processedBytes;
+
+        const now = Date.now();
+        if (now - entry.lastEmit >= EMIT_INTERVAL_MS) {
+            entry.lastEmit = now;
+            entry.events.emit('update', view(job));
+        }
+        if (now - entry.lastPersist >= PERSIST_INTERVAL_MS) {
+            entry.lastPersist = now;
+            persist(job).catch((err) => log.error('Job progress write failed', { err }));
+        }
+    };
+
+    try {
+        job.result = await finalizer.process(upload, { clientHash, onProgress });
+        job.status = 'SUCCEEDED';
+        job.phase = 'done';
+    } catch (err) {
+        if (!err.status) log.error('Finalize job failed', { err });
+        job.status = 'FAILED';
+        job.error = {
+            status: err.status || 500,
+            message: err.status ? err.message : 'Finalization error',
+            ...(err.details || {})
+        };
+    }
+    job.finishedAt = new Date();
+
+    const outcome = job.status === 'FAILED' ? 'failed' : job.result.status === 'QUARANTINED' ? 'quarantined' : 'completed';
+    observe({ outcome });
+    log.info('Finalize job finished', {
+        outcome,
+        durationMs: job.finishedAt - job.createdAt,
+        totalBytes: job.totalBytes,
+        ...(job.error ? { error: job.error.message } : {})
+    });
+
+    // Final state is durable before subscribers hear about it and the job leaves memory
+    try {
+        await persist(job);
+    } catch (err) {
+        log.error('Job final write failed', { err });
+    }
+    entry.events.emit('update', view(job));
+    live.delete(job.jobId);
+
+    if (job.status === 'SUCCEEDED') {
+        const { status, uploadId, ...result } = job.result;
+        webhooks.emit(status === 'QUARANTINED' ? 'upload.quarantined' : 'upload.completed', { ...upload, final_hash: result.hash }, result);
+    } else {
+        webhooks.emit('upload.failed', upload, { reason: 'finalize', error: job.error });
+    }
+};
+
+// Claim the upload and start its finalize job.
+// Resolves with { job } (202) or { completed } (already COMPLETED, 200); claim errors are thrown.
+const submit = async (uploadId, { clientHash } = {}) => {
+    let upload;
+    try {
+        upload = await finalizer.claim(uploadId);
+    } catch (err) {
+        // A retried finalize (client timeout, proxy) while the first job still runs gets that job
+        if (err.status === 409) {
+            const running = await findRunning(uploadId);
+            if (running) return { job: running };
+        }
+        throw err;
+    }
+    if (!upload) return { completed: await completedResult(uploadId) };
+
+    const job = {
+        jobId: crypto.randomUUID(),
+        uploadId: upload.id,
+        status: 'RUNNING',
+        phase: 'queued',
+        processedBytes: 0,
+        totalBytes: Number(upload.total_size),
+        result: null,
+        error: null,
+        createdAt: new Date(),
+        finishedAt: null
+    };
+    await db.query(
+        'INSERT INTO finalize_jobs (id, upload_id, status, phase, total_bytes) VALUES (?, ?, ?, ?, ?)',
+        [job.jobId, job.uploadId, job.status, job.phase, job.totalBytes]
+    );
+
+    const entry = { job, events: new EventEmitter(), lastEmit: 0, lastPersist: 0 };
+    live.set(job.jobId, entry);
+    // Keeps the submitting request's id in its log lines, plus the upload and job ids
+    log.runWithContext({ ...log.context(), uploadId: job.uploadId, jobId: job.jobId }, () => execute(entry, upload, clientHash));
+
+    return { job: view(job) };
+};
+
+// Live updates for a job running in this process. Returns an unsubscribe function,
+// or null if the job isn't running here (finished, or on another instance: poll instead).
+const subscribe = (jobId, listener) => {
+    const entry = live.get(jobId);
+    if (!entry) return null;
+    entry.events.on('update', listener);
+    return () => entry.events.off('update', listener);
+};
+
+module.exports = {
+    isFinished,
+    get,
+    submit,
+    subscribe
+};
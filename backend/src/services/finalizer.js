@@ -0,0 +1,230 @@
+const db = require('../db');
+const crypto = require('crypto');
+const storage = require('./storage');
+const blobStore = require('./blobStore');
+const archives = require('./archives');
+const archiveStore = require('./archiveStore');
+const hooks = require('./hooks');
+const { computeRanges } = require('./uploadStatus');
+const { withUploadLock } = require('./transaction');
+const log = require('./logger');
+
+// Shared finalize pipeline for every upload path (custom /upload API and tus), in two steps:
+// - claim(): row lock + completeness check -> PROCESSING. Quick, runs inside the request.
+// - process(): assemble -> length check -> streamed SHA-256 -> (verify client hash) -> type sniffing
+//   and archive listing -> processing hooks (see hooks/)
+//   -> register blob -> COMPLETED, or QUARANTINED if a hook failed. Slow on big files, runs as a background job (see finalizeJobs).
+// Failures are thrown as errors carrying an HTTP `status` (and optional `details` for the body).
+
+const finalizeError = (status, message, details = {}) => Object.assign(new Error(message), { status, details });
+
+const markFailed = (uploadId) =>
+    db.query('UPDATE uploads SET status = "FAILED" WHERE id = ?', [uploadId]).catch(() => {});
+
+// Requirement: "You must not load the entire file into memory." -> stream the hash calculation
+const hashStored = (key, onBytes = () => {}) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = storage.createReadStream(key);
+    let hashed = 0;
+
+    stream.on('data', (data) => {
+        hash.update(data);
+        hashed += data.length;
+        onBytes(hashed);
+    });
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+});
+
+// Every byte of the file must be covered by an UPLOADED chunk. Chunk sizes vary (adaptive client,
+// tus PATCH sizes), so completeness is checked on byte ranges rather than on a fixed index count.
+const findMissing = async (conn, upload) => {
+    const [chunks] = await conn.query(
+        'SELECT chunk_index, byte_offset, byte_length, status FROM chunks WHERE upload_id = ? AND byte_offset IS NOT NULL ORDER BY byte_offset',
+        [upload.id]
+    );
+    const { missing } = computeRanges(chunks.filter(c => c.status === 'UPLOADED'), Number(upload.total_size));
+    return {
+        // Attempted but never acknowledged: re-send these indices with their recorded ranges
+        missingChunks: chunks.filter(c => c.status !== 'UPLOADED').map(c => c.chunk_index),
+        // Bytes no UPLOADED chunk covers (includes never-attempted tails)
+        missingRanges: missing
+    };
+};
+
+// Claim the upload in one transaction: the row lock makes concurrent finalizes (and cancels,
+// chunk acknowledgements) serialize, so only one request ever moves it to PROCESSING.
+// FAILED uploads may be retried (e.g. after a transient storage error).
+// Resolves with the claimed upload row, or `null` if it is already COMPLETED (or QUARANTINED).
+exports.claim = async (uploadId) => {
+    let incomplete = null;
+    const upload = await withUploadLock(uploadId, ['UPLOADING', 'FAILED'], async (conn, row) => {
+        const missing = await findMissing(conn, row);
+        if (missing.missingChunks.length > 0 || missing.missingRanges.length > 0) {
+            incomplete = missing;
+            return null;
+        }
+        await conn.query('UPDATE uploads SET status = "PROCESSING" WHERE id = ?', [uploadId]);
+        return row;
+    });
+
+    if (incomplete) throw finalizeError(409, 'Upload incomplete', incomplete);
+    if (upload) return upload;
+
+    // Not claimable: report why
+    const [rows] = await db.query('SELECT status FROM uploads WHERE id = ?', [uploadId]);
+    if (rows.length === 0) throw finalizeError(404, 'Upload not found');
+    if (rows[0].status === 'COMPLETED' || rows[0].status === 'QUARANTINED') return null;
+    if (rows[0].status === 'CANCELLED') throw finalizeError(410, 'Upload was cancelled');
+    throw finalizeError(409, 'Already processing');
+};
+
+// The stored object must be exactly total_size bytes. Longer (stale bytes past the end of a
+// reused file) is truncated where the driver can; anything else is corrupt.
+const checkLength = async (key, totalSize) => {
+    const stats = await storage.stat(key);
+    const actual = stats ? stats.size : 0;
+    if (actual === totalSize) return;
+
+    if (actual > totalSize && storage.truncate) {
+        await storage.truncate(key, totalSize);
+        return;
+    }
+    throw finalizeError(500, 'Stored file length mismatch', { expectedSize: totalSize, storedSize: actual });
+};
+
+// Everything after the claim. `onProgress({ phase, processedBytes, totalBytes })` is called as work advances.
+exports.process = async (upload, { clientHash, onProgress = () => {} } = {}) => {
+    const uploadId = upload.id;
+    const totalBytes = Number(upload.total_size);
+    const key = blobStore.storageKeyFor(upload);
+    const phase = (name, processedBytes = 0) => onProgress({ phase: name, processedBytes, totalBytes });
+
+    // 2. Stitch parts together where the driver needs it (S3 CompleteMultipartUpload; no-op on disk)
+    phase('assembling');
+    try {
+        const [parts] = await db.query(
+            'SELECT chunk_index AS `index`, etag FROM chunks WHERE upload_id = ? AND status = "UPLOADED" ORDER BY chunk_index',
+            [uploadId]
+        );
+        await storage.assemble(key, { storageUploadId: upload.storage_upload_id, parts });
+
+        // Chunk sizes may have changed mid-upload, so the init-time estimate is replaced by the real count
+        await db.query('UPDATE uploads SET total_chunks = ? WHERE id = ?', [parts.length, uploadId]);
+    } catch (err) {
+        log.error('Assemble failed', { err });
+        await markFailed(uploadId);
+        throw finalizeError(500, 'Failed to assemble stored chunks');
+    }
+
+    // Only hash a file of the declared length
+    try {
+        await checkLength(key, Number(upload.total_size));
+    } catch (err) {
+        log.error('Length check failed', { err });
+        await markFailed(uploadId);
+        throw err.status ? err : finalizeError(500, 'Failed to check stored file length');
+    }
+
+    // 3. Hash check
+    let serverHash;
+    try {
+        phase('hashing');
+        serverHash = await hashStored(key, (hashed) => phase('hashing', hashed));
+    } catch (err) {
+        await markFailed(uploadId);
+        throw finalizeError(500, 'File read error during hashing');
+    }
+
+    // Terminal: the stored bytes are wrong but every chunk checked out, so there is nothing to
+    // re-send (and on S3 the multipart upload is already completed). The client starts a new upload.
+    if (clientHash && clientHash.toLowerCase() !== serverHash) {
+        await markFailed(uploadId);
+        throw finalizeError(400, 'Hash mismatch', { serverHash, clientHash });
+    }
+
+    // 4. Content type from magic bytes, and the entry list if it's an archive (ZIP, TAR, TAR.GZ, gzip).
+    // Content seen before was inspected then. Best effort: a failed inspection never fails the upload.
+    phase('inspecting', totalBytes);
+    let contentType = null;
+    let inspection = null;
+    try {
+        if (await archiveStore.has(serverHash)) {
+            ({ contentType } = await archives.sniff(key, totalBytes));
+        } else {
+            ({ contentType, inspection } = await archives.inspect(key, totalBytes, { filename: upload.filename }));
+        }
+    } catch (err) {
+        log.error('Archive inspection failed', { err });
+    }
+
+    let archive = null;
+    try {
+        archive = inspection ? archiveStore.summarize(inspection) : await archiveStore.loadSummary(serverHash);
+    } catch (err) {
+        log.error('Archive summary failed', { err });
+    }
+
+    // 5. Processing hooks, on the upload's own copy before it joins the shared blobs. A quarantined
+    // upload keeps its data under its own key (no blob, so no dedup against it) until the janitor purges it.
+    let processing;
+    try {
+        processing = await hooks.run(
+            { upload, key, hash: serverHash, size: totalBytes, contentType, archive },
+            { onStep: (step) => phase(`hook:${step.name}`.slice(0, 32), totalBytes) }
+        );
+    } catch (err) {
+        log.error('Processing hooks failed to run', { err });
+        await markFailed(uploadId);
+        throw finalizeError(500, 'Processing hooks failed to run');
+    }
+
+    if (processing.quarantined) {
+        try {
+            await db.query(
+                'UPDATE uploads SET status = "QUARANTINED", final_hash = ? WHERE id = ?',
+                [serverHash, uploadId]
+            );
+        } catch (err) {
+            log.error('Quarantine failed', { err });
+            await markFailed(uploadId);
+            throw finalizeError(500, 'Finalization error');
+        }
+        return { status: 'QUARANTINED', uploadId, hash: serverHash, contentType, archive, hooks: processing.results };
+    }
+
+    // 6. Store each distinct content once: if this hash is already stored,
+    // point at the existing blob and drop our copy.
+    phase('registering', totalBytes);
+    let blobKey;
+    try {
+        if (inspection) {
+            await archiveStore.save(serverHash, inspection).catch((err) => log.error('Archive inspection save failed', { err }));
+        }
+
+        // The blob reference and COMPLETED commit together: a failure leaves neither, so no blob
+        // counts a reference from a FAILED upload
+        blobKey = await blobStore.register(serverHash, upload.total_size, key, contentType, (conn, registeredKey) => conn.query(
+            'UPDATE uploads SET status = "COMPLETED", final_hash = ?, storage_key = ? WHERE id = ?',
+            [serverHash, registeredKey, uploadId]
+        ));
+    } catch (err) {
+        log.error('Finalize commit failed', { err });
+        await markFailed(uploadId);
+        throw finalizeError(500, 'Finalization error');
+    }
+
+    // Only now that nothing points at it; if this fails, the janitor's orphan sweep removes it
+    if (blobKey !== key) {
+        await storage.delete(key).catch((err) => log.error('Dropping the duplicate copy failed', { err }));
+    }
+
+    return {
+        status: 'COMPLETED',
+        uploadId: upload.id,
+        hash: serverHash,
+        contentType,
+        archive,
+        hooks: processing.results
+    };
+};
@@ -0,0 +1,89 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { openZip } = require('../zipReader');
+const { decodeName } = require('../archives/zipLister');
+const archives = require('../archives');
+
+// Extract a ZIP upload into `targetDir`/<uploadId>/ (other files are skipped). Entries are read
+// through the storage driver, so any driver works. Refuses (fails the step, quarantining the
+// upload) archives that would write outside the directory, encrypted entries, and archives past
+// the inspection limits (ARCHIVE_MAX_ENTRIES, ARCHIVE_MAX_UNCOMPRESSED_BYTES). Symlinks are not
+// created; they are listed as skipped. The directory is recorded in the step's detail and removed
+// with the upload (see removeOutputs in hooks/index.js).
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+const validate = (step) => {
+    if (typeof step.targetDir !== 'string' || !path.isAbsolute(step.targetDir)) return 'targetDir must be an absolute path';
+    return null;
+};
+
+const refuse = (message) => Object.assign(new Error(message), { refused: true });
+
+const run = async (step, context) => {
+    if (!context.archive || context.archive.format !== 'zip') {
+        return { status: 'SKIPPED', detail: { reason: 'Not a ZIP archive' } };
+    }
+
+    const directory = path.join(step.targetDir, String(context.upload.id));
+    await fs.emptyDir(directory); // a retried finalize starts over
+    const zipfile = await openZip(context.key, { lazyEntries: true, decodeStrings: false });
+
+    let files = 0;
+    let bytes = 0;
+    const skipped = [];
+
+    const extractEntry = async (entry) => {
+        const name = decodeName(entry);
+        const target = path.resolve(directory, name);
+        if (path.isAbsolute(name) || /^[a-z]:/i.test(name) || !target.startsWith(directory + path.sep)) {
+            throw refuse(`Entry "${name}" would be written outside the extraction directory`);
+        }
+        if (name.endsWith('/')) {
+            await fs.ensureDir(target);
+            return;
+        }
+        if (((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK) {
+            skipped.push({ path: name, reason: 'symlink' });
+            return;
+        }
+        if (entry.generalPurposeBitFlag & 0x1) throw refuse(`Entry "${name}" is encrypted`);
+
+        bytes += entry.uncompressedSize;
+        if (bytes > archives.limits.maxUncompressedBytes) {
+            throw refuse(`Archive expands beyond ${archives.limits.maxUncompressedBytes} bytes`);
+        }
+        if (++files > archives.limits.maxEntries) throw refuse(`Archive has more than ${archives.limits.maxEntries} files`);
+
+        await fs.ensureDir(path.dirname(target));
+        const stream = await new Promise((resolve, reject) => {
+            zipfile.openReadStream(entry, (err, readStream) => (err ? reject(err) : resolve(readStream)));
+        });
+        // yauzl checks the declared sizes and the CRC while streaming, so a lying entry errors here
+        await pipeline(stream, fs.createWriteStream(target, { flags: 'wx' }));
+    };
+
+    try {
+        await new Promise((resolve, reject) => {
+            zipfile.on('entry', (entry) => {
+                extractEntry(entry).then(() => zipfile.readEntry(), reject);
+            });
+            zipfile.on('end', resolve);
+            zipfile.on('error', reject);
+            zipfile.readEntry();
+        });
+    } catch (err) {
+        zipfile.close();
+        await fs.remove(directory).catch(() => {});
+        return { status: 'FAILED', detail: { error: err.message, refused: Boolean(err.refused) } };
+    }
+
+    return { status: 'PASSED', detail: { directory, files, bytes, skipped } };
+};
+
+// Undo a PASSED run, from its stored detail
+const remove = (detail) => (detail.directory ? fs.remove(detail.directory) : null);
+
+module.exports = { validate, run, remove };
@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const db = require('../../db');
+const storage = require('../storage');
+
+// Post-upload processing: an ordered list of steps that runs during finalize, after the hash is
+// verified and the archive listed, before the upload becomes COMPLETED. Configured as JSON in
+// PROCESSING_HOOKS, or in the file named by PROCESSING_HOOKS_FILE:
+//   [{ "type": "scan", "command": ["clamscan", "--no-summary", "{file}"] },
+//    { "type": "extract", "targetDir": "/data/extracted" },
+//    { "type": "webhook", "url": "https://example.com/uploads", "onFailure": "continue" }]
+// Every step resolves with { status: 'PASSED' | 'FAILED' | 'SKIPPED', detail }; a throw counts as
+// FAILED. A failed step quarantines the upload (status QUARANTINED instead of COMPLETED) and the
+// remaining steps are skipped, unless the step says "onFailure": "continue".
+// Each step's outcome is stored in `hook_results`. Step types that leave files behind export
+// `remove(detail)`, used by removeOutputs when the upload is cancelled, purged or finalized again.
+
+const HOOK_TYPES = {
+    scan: require('./scanStep'),
+    extract: require('./extractStep'),
+    webhook: require('./webhookStep')
+};
+
+const ON_FAILURE = ['quarantine', 'continue'];
+
+const hookError = (message) => new Error(`Invalid PROCESSING_HOOKS: ${message}`);
+
+const loadSteps = () => {
+    let raw = process.env.PROCESSING_HOOKS;
+    if (!raw && process.env.PROCESSING_HOOKS_FILE) raw = fs.readFileSync(process.env.PROCESSING_HOOKS_FILE, 'utf8');
+    if (!raw) return [];
+
+    let steps;
+    try {
+        steps = JSON.parse(raw);
+    } catch (err) {
+        throw hookError(err.message);
+    }
+    if (!Array.isArray(steps)) throw hookError('expected an array of steps');
+
+    return steps.map((step, index) => {
+        if (!step || !HOOK_TYPES[step.type]) throw hookError(`step ${index + 1} has unknown type "${step && step.type}"`);
+        const onFailure = step.onFailure || 'quarantine';
+        if (!ON_FAILURE.includes(onFailure)) throw hookError(`step ${index + 1} has unknown onFailure "${onFailure}"`);
+
+        const name = String(step.name || `${step.type}-${index + 1}`).slice(0, 64);
+        const problem = HOOK_TYPES[step.type].validate(step);
+        if (problem) throw hookError(`step ${index + 1} (${name}): ${problem}`);
+        return { ...step, name, onFailure };
+    });
+};
+
+const steps = loadSteps();
+
+// Local path of the stored file, for steps that run external programs. The local driver's own
+// file is used as is; other drivers get a temporary copy, removed once the pipeline is done.
+const localCopy = (key) => {
+    let copy = null;
+    return {
+        path: async () => {
+            if (storage.getFilePath) return storage.getFilePath(key);
+            if (!copy) {
+                copy = path.join(os.tmpdir(), `uploader-hook-${crypto.randomUUID()}`);
+                await pipeline(storage.createReadStream(key), fs.createWriteStream(copy));
+            }
+            return copy;
+        },
+        cleanup: () => (copy ? fs.remove(copy).catch(() => {}) : null)
+    };
+};
+
+const record = (uploadId, index, step, outcome, durationMs) => db.query(
+    `INSERT INTO hook_results (upload_id, step_index, name, type, status, detail, duration_ms) VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE name = VALUES(name), type = VALUES(type), status = VALUES(status),
+         detail = VALUES(detail), duration_ms = VALUES(duration_ms), created_at = CURRENT_TIMESTAMP`,
+    [uploadId, index, step.name, step.type, outcome.status, JSON.stringify(outcome.detail || {}), durationMs]
+);
+
+// Run every step for a finalized upload. `file` is { upload, key, hash, size, contentType, archive }
+// (archive: inspection summary or null). `onStep(step)` is called as each step starts.
+// Resolves with { quarantined, results: [{ step, name, type, status, detail, durationMs }] }.
+const run = async (file, { onStep = () => {} } = {}) => {
+    const uploadId = file.upload.id;
+    await removeOutputs(await load(uploadId)); // a previous run's, which this one may not recreate
+    await db.query('DELETE FROM hook_results WHERE upload_id = ?', [uploadId]);
+
+    const copy = localCopy(file.key);
+    const context = { ...file, localPath: copy.path, results: [] };
+    let quarantined = false;
+
+    try {
+        for (const [index, step] of steps.entries()) {
+            const startedAt = Date.now();
+            let outcome;
+            if (quarantined) {
+                outcome = { status: 'SKIPPED', detail: { reason: 'An earlier step quarantined the upload' } };
+            } else {
+                onStep(step);
+                try {
+                    outcome = await HOOK_TYPES[step.type].run(step, context);
+                } catch (err) {
+                    outcome = { status: 'FAILED', detail: { error: err.message } };
+                }
+            }
+
+            const durationMs = Date.now() - startedAt;
+            await record(uploadId, index, step, outcome, durationMs);
+            context.results.push({ step: index, name: step.name, type: step.type, status: outcome.status, detail: outcome.detail || {}, durationMs });
+
+            if (outcome.status === 'FAILED' && step.onFailure === 'quarantine') quarantined = true;
+        }
+    } finally {
+        await copy.cleanup();
+    }
+
+    return { quarantined, results: context.results };
+};
+
+// Stored outcomes of an upload's last run, in step order
+const load = async (uploadId) => {
+    const [rows] = await db.query('SELECT * FROM hook_results WHERE upload_id = ? ORDER BY step_index', [uploadId]);
+    return rows.map(r => ({
+        step: r.step_index,
+        name: r.name,
+        type: r.type,
+        status: r.status,
+        detail: r.detail ? JSON.parse(r.detail) : {},
+        durationMs: r.duration_ms,
+        finishedAt: r.created_at
+    }));
+};
+
+// Delete what PASSED steps left outside the upload (e.g. extracted files). Takes the results of
+// load(), read before the upload's row (and with it its hook_results) is deleted.
+const removeOutputs = async (results) => {
+    for (const result of results) {
+        const type = HOOK_TYPES[result.type];
+        if (result.status === 'PASSED' && type && type.remove) await type.remove(result.detail);
+    }
+};
+
+module.exports = {
+    steps,
+    run,
+    load,
+    removeOutputs
+};
@@ -0,0 +1,45 @@
+const { execFile } = require('child_process');
+
+// Virus scan with a local command-line scanner (ClamAV's clamscan/clamdscan or anything with the
+// same convention). `command` is an argument array, run without a shell; "{file}" is replaced by
+// the stored file's path. Exit code 0 = clean, one of `infectedExitCodes` (default [1]) = infected,
+// anything else (scanner error, timeout) fails the step too: an unscanned file is not passed.
+
+const DEFAULT_TIMEOUT_SECONDS = 600;
+const MAX_OUTPUT = 2000; // characters of scanner output kept in the result
+
+const validate = (step) => {
+    if (!Array.isArray(step.command) || step.command.length === 0 || !step.command.every(a => typeof a === 'string')) {
+        return 'command must be a non-empty array of strings';
+    }
+    if (!step.command.some(a => a.includes('{file}'))) return 'command must pass "{file}"';
+    if (step.infectedExitCodes !== undefined && !(Array.isArray(step.infectedExitCodes) && step.infectedExitCodes.every(Number.isInteger))) {
+        return 'infectedExitCodes must be an array of integers';
+    }
+    return null;
+};
+
+const tail = (text) => (text.length > MAX_OUTPUT ? text.slice(-MAX_OUTPUT) : text).trim();
+
+const run = async (step, context) => {
+    const file = await context.localPath();
+    const [program, ...args] = step.command.map(a => a.split('{file}').join(file));
+    const timeout = (step.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+    const infectedExitCodes = step.infectedExitCodes || [1];
+
+    const { code, output, error } = await new Promise((resolve) => {
+        execFile(program, args, { timeout, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+            const output = tail(`${stdout}${stderr}`);
+            if (!err) return resolve({ code: 0, output });
+            // Killed by the timeout, or couldn't be started at all
+            if (typeof err.code !== 'number') return resolve({ code: null, output, error: err.killed ? 'Scanner timed out' : err.message });
+            resolve({ code: err.code, output });
+        });
+    });
+
+    if (code === 0) return { status: 'PASSED', detail: { verdict: 'clean', exitCode: 0, output } };
+    if (infectedExitCodes.includes(code)) return { status: 'FAILED', detail: { verdict: 'infected', exitCode: code, output } };
+    return { status: 'FAILED', detail: { verdict: 'error', exitCode: code, error: error || 'Scanner failed', output } };
+};
+
+module.exports = { validate, run };
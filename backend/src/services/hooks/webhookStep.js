@@ -0,0 +1,62 @@
+const { signatureHeaders } = require('../webhooks');
+
+// POST the upload's description (and the outcomes of the steps before this one) as JSON to `url`.
+// Any 2xx answer passes; other statuses, network errors and timeouts fail the step.
+// Optional `headers` are sent as given (e.g. an Authorization for the receiving service), and an
+// optional `secret` signs the body like the lifecycle webhooks do (X-Webhook-Signature).
+// Not retried later: a failure is this step's result.
+
+const DEFAULT_TIMEOUT_SECONDS = 10;
+
+const validate = (step) => {
+    try {
+        const url = new URL(step.url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'url must be http(s)';
+    } catch (err) {
+        return 'url must be a valid URL';
+    }
+    if (step.headers !== undefined && (typeof step.headers !== 'object' || step.headers === null)) return 'headers must be an object';
+    if (step.secret !== undefined && (typeof step.secret !== 'string' || step.secret.length < 16)) return 'secret must be a string of at least 16 characters';
+    return null;
+};
+
+const payload = (context) => ({
+    event: 'upload.processed',
+    upload: {
+        uploadId: context.upload.id,
+        ownerId: context.upload.owner_id,
+        filename: context.upload.filename,
+        relativePath: context.upload.relative_path,
+        size: context.size,
+        hash: context.hash,
+        contentType: context.contentType,
+        archive: context.archive
+    },
+    steps: context.results
+});
+
+const run = async (step, context) => {
+    const timeout = (step.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+    const body = JSON.stringify(payload(context));
+    let response;
+    try {
+        response = await fetch(step.url, {
+            method: 'POST',
+            headers: {
+                ...(step.headers || {}),
+                'Content-Type': 'application/json',
+                ...(step.secret ? signatureHeaders(step.secret, body) : {})
+            },
+            body,
+            signal: AbortSignal.timeout(timeout)
+        });
+    } catch (err) {
+        return { status: 'FAILED', detail: { error: err.name === 'TimeoutError' ? 'Webhook timed out' : err.message } };
+    }
+    await response.body?.cancel();
+
+    const detail = { statusCode: response.status };
+    return response.ok ? { status: 'PASSED', detail } : { status: 'FAILED', detail };
+};
+
+module.exports = { validate, run };
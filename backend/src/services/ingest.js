@@ -0,0 +1,86 @@
+const { Transform } = require('stream');
+const crypto = require('crypto');
+const { envNumber } = require('../config');
+
+// Streaming chunk ingestion: request bodies are piped straight into the storage driver
+// instead of being buffered by express.raw, so memory stays flat however many clients upload at once.
+// Sizes are checked before the first byte is written; checksums can only be checked once the
+// body has been received, so drivers stage it (writeChunk) and callers commit it (commitChunk)
+// and acknowledge it only after comparing them.
+
+const MAX_CHUNK_BYTES = envNumber('MAX_CHUNK_BYTES', 50 * 1024 * 1024, { min: 1 });
+
+const ingestError = (status, message, code) => Object.assign(new Error(message), { status, code });
+
+// Declared body size. Chunks must announce it so they can be checked before any byte is written.
+const getContentLength = (req) => {
+    const header = req.headers['content-length'];
+    if (header === undefined) throw ingestError(411, 'Content-Length header required', 'LENGTH_REQUIRED');
+
+    const length = Number(header);
+    if (!Number.isSafeInteger(length) || length < 0) throw ingestError(400, 'Invalid Content-Length header', 'BAD_LENGTH');
+    if (length > MAX_CHUNK_BYTES) throw ingestError(413, `Chunk exceeds ${MAX_CHUNK_BYTES} bytes`, 'CHUNK_TOO_LARGE');
+    return length;
+};
+
+// Pipe `req` through a pass-through that hashes and counts bytes (failing fast once the body
+// grows past `limit`) into `write(stream)`, i.e. a storage driver call.
+// `throttle(bytes)`, if given, returns how many ms to hold each piece back (bandwidth limit);
+// holding it back stops reading from the socket, so the client is slowed down by TCP.
+// Resolves with { bytes, digest(algorithm, encoding), result } once both sides finish; rejects
+// on oversize bodies, driver errors and aborted requests (status 499), in which case the caller
+// must not acknowledge the chunk.
+const receive = async (req, { limit, algorithms = ['sha256'], throttle = null }, write) => {
+    const hashes = {};
+    for (const algorithm of algorithms) hashes[algorithm] = crypto.createHash(algorithm);
+    let bytes = 0;
+
+    const stream = new Transform({
+        transform(data, encoding, callback) {
+            bytes += data.length;
+            if (bytes > limit) {
+                return callback(ingestError(413, 'Request body exceeds the expected chunk length', 'CHUNK_TOO_LARGE'));
+            }
+            for (const hash of Object.values(hashes)) hash.update(data);
+            const waitMs = throttle ? throttle(data.length) : 0;
+            if (waitMs > 0) setTimeout(() => callback(null, data), waitMs);
+            else callback(null, data);
+        }
+    });
+
+    const metered = new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.on('end', resolve);
+    });
+
+    // Plain pipe (not pipeline) so an oversize body doesn't destroy the socket before we can answer 413.
+    // A client that goes away mid-body never completes the request: treat as abort.
+    req.on('error', (err) => stream.destroy(err));
+    req.on('close', () => {
+        if (!req.complete) stream.destroy(ingestError(499, 'Client aborted the request', 'ABORTED'));
+    });
+    req.pipe(stream);
+
+    try {
+        const [, result] = await Promise.all([metered, write(stream)]);
+        return {
+            bytes,
+            digest: (algorithm, encoding = 'hex') => hashes[algorithm].digest(encoding),
+            result
+        };
+    } catch (err) {
+        stream.destroy();
+        req.unpipe(stream);
+        req.resume(); // discard the rest of the body so the response can still be sent
+        if (err.code === 'ERR_STREAM_PREMATURE_CLOSE' || (!req.complete && req.destroyed)) {
+            throw ingestError(499, 'Client aborted the request', 'ABORTED');
+        }
+        throw err;
+    }
+};
+
+module.exports = {
+    MAX_CHUNK_BYTES,
+    getContentLength,
+    receive
+};
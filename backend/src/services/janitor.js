@@ -0,0 +1,316 @@
+const db = require('../db');
+const storage = require('./storage');
+const blobStore = require('./blobStore');
+const webhooks = require('./webhooks');
+const hooks = require('./hooks');
+const { withUploadLock } = require('./transaction');
+const log = require('./logger');
+const { envNumber } = require('../config');
+
+// Background housekeeping, run every JANITOR_INTERVAL_MINUTES inside the backend process:
+// - UPLOADING uploads idle past their retention (or past expires_at): partial data removed, marked FAILED
+// - PROCESSING uploads stuck past the timeout (crash mid-finalize): back to UPLOADING, so finalize can be retried
+// - FAILED / CANCELLED / QUARANTINED (and optionally COMPLETED) rows past their retention: data released, row deleted
+// - Orphans: stored objects no upload row or blob points at
+// Dry-run mode reports what would be done without touching anything. Every run is recorded in `janitor_runs`.
+
+const config = {
+    intervalMinutes: envNumber('JANITOR_INTERVAL_MINUTES', 60), // 0 disables the schedule
+    dryRun: process.env.JANITOR_DRY_RUN === 'true',
+    // Hours after the last activity; 0 keeps rows of that status forever
+    retention: {
+        UPLOADING: envNumber('RETENTION_UPLOADING_HOURS', 24),
+        FAILED: envNumber('RETENTION_FAILED_HOURS', 168),
+        CANCELLED: envNumber('RETENTION_CANCELLED_HOURS', 24),
+        QUARANTINED: envNumber('RETENTION_QUARANTINED_HOURS', 168),
+        COMPLETED: envNumber('RETENTION_COMPLETED_HOURS', 0)
+    },
+    processingTimeoutMinutes: envNumber('PROCESSING_TIMEOUT_MINUTES', 30),
+    // Freshly created objects may not have their row committed yet
+    orphanGraceMinutes: envNumber('ORPHAN_GRACE_MINUTES', 60)
+};
+
+// Cross-instance mutex (MySQL named lock), so replicas sharing a database don't sweep concurrently
+const LOCK_NAME = 'uploader_janitor';
+const ORPHAN_BATCH = 500;
+const MAX_REPORTED_ITEMS = 200; // per list in a stored report
+
+const janitorError = (status, message) => Object.assign(new Error(message), { status });
+
+let running = false;
+
+// UPLOADING: idle = no chunk received (nor created) within the retention window
+const findExpiredUploads = async () => {
+    if (!config.retention.UPLOADING) {
+        const [rows] = await db.query('SELECT * FROM uploads WHERE status = "UPLOADING" AND expires_at < NOW()');
+        return rows;
+    }
+    const [rows] = await db.query(
+        `SELECT u.* FROM uploads u LEFT JOIN chunks c ON c.upload_id = u.id
+         WHERE u.status = "UPLOADING"
+         GROUP BY u.id
+         HAVING GREATEST(u.created_at, COALESCE(MAX(c.received_at), u.created_at)) < NOW() - INTERVAL ? HOUR
+             OR u.expires_at < NOW()`,
+        [config.retention.UPLOADING]
+    );
+    return rows;
+};
+
+// A finalize job that is still reporting progress counts as alive, however long the file takes
+const findStuckProcessing = async () => {
+    const [rows] = await db.query(
+        `SELECT * FROM uploads u
+         WHERE u.status = "PROCESSING" AND u.updated_at < NOW() - INTERVAL ? MINUTE
+           AND NOT EXISTS (
+               SELECT 1 FROM finalize_jobs j
+               WHERE j.upload_id = u.id AND j.status = "RUNNING" AND j.updated_at >= NOW() - INTERVAL ? MINUTE
+           )`,
+        [config.processingTimeoutMinutes, config.processingTimeoutMinutes]
+    );
+    return rows;
+};
+
+const findPurgeable = async () => {
+    const found = [];
+    for (const status of ['FAILED', 'CANCELLED', 'QUARANTINED', 'COMPLETED']) {
+        const retention = config.retention[status];
+        if (!retention) continue;
+        const [rows] = await db.query(
+            'SELECT * FROM uploads WHERE status = ? AND updated_at < NOW() - INTERVAL ? HOUR',
+            [status, retention]
+        );
+        found.push(...rows);
+    }
+    return found;
+};
+
+// Keys in `batch` that nothing in the database points at
+const unreferencedKeys = async (batch) => {
+    const keys = batch.map(o => o.key);
+
+    // In-progress data is stored under the upload id itself (see blobStore.storageKeyFor)
+    const [uploads] = await db.query(
+        'SELECT id, storage_key FROM uploads WHERE storage_key IN (?) OR (storage_key IS NULL AND id IN (?))',
+        [keys, keys]
+    );
+    const [blobs] = await db.query('SELECT storage_key FROM blobs WHERE storage_key IN (?)', [keys]);
+
+    const referenced = new Set([
+        ...uploads.map(u => blobStore.storageKeyFor(u)),
+        ...blobs.map(b => b.storage_key)
+    ]);
+    return batch.filter(o => !referenced.has(o.key));
+};
+
+const findOrphans = async () => {
+    const cutoff = Date.now() - config.orphanGraceMinutes * 60 * 1000;
+    const orphans = [];
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length > 0) orphans.push(...await unreferencedKeys(batch));
+        batch = [];
+    };
+
+    for await (const object of storage.list()) {
+        if (object.modifiedAt && new Date(object.modifiedAt).getTime() > cutoff) continue;
+        batch.push(object);
+        if (batch.length >= ORPHAN_BATCH) await flush();
+    }
+    await flush();
+    return orphans;
+};
+
+// --- actions (each one re-checks state under the upload's row lock) ---
+
+const expireUpload = async (upload) => {
+    const expired = await withUploadLock(upload.id, ['UPLOADING'], async (conn) => {
+        await blobStore.removeIfUnreferenced(blobStore.storageKeyFor(upload), upload.storage_upload_id);
+        await conn.query('DELETE FROM chunks WHERE upload_id = ?', [upload.id]);
+        await conn.query('UPDATE uploads SET status = "FAILED" WHERE id = ?', [upload.id]);
+        return true;
+    });
+    if (expired) webhooks.emit('upload.failed', upload, { reason: 'expired' });
+    return expired;
+};
+
+const recoverProcessing = (upload) => withUploadLock(upload.id, ['PROCESSING'], async (conn) => {
+    await conn.query('UPDATE uploads SET status = "UPLOADING" WHERE id = ?', [upload.id]);
+    // Its finalize job died with the process that ran it
+    await conn.query(
+        'UPDATE finalize_jobs SET status = "FAILED", error = ?, finished_at = CURRENT_TIMESTAMP WHERE upload_id = ? AND status = "RUNNING"',
+        [JSON.stringify({ status: 500, message: 'Finalize interrupted; retry finalize' }), upload.id]
+    );
+    return true;
+});
+
+const purgeUpload = async (upload) => {
+    let hookResults;
+    const purged = await withUploadLock(upload.id, [upload.status], async (conn) => {
+        hookResults = await hooks.load(upload.id); // before they cascade with the row
+        await conn.query('DELETE FROM uploads WHERE id = ?', [upload.id]); // chunks cascade
+        return true;
+    });
+    if (!purged) return false;
+
+    await hooks.removeOutputs(hookResults);
+
+    // Storage outside the transaction: a COMPLETED upload drops its blob reference,
+    // anything else only had its own (partial, or quarantined) data
+    if (upload.status === 'COMPLETED') {
+        await blobStore.release(upload.final_hash);
+    } else {
+        await blobStore.removeIfUnreferenced(blobStore.storageKeyFor(upload), upload.storage_upload_id);
+    }
+    return true;
+};
+
+// Apply `action` to every item unless dry-running; failures are collected, not fatal
+const apply = async (items, action, describe, report) => {
+    const done = [];
+    for (const item of items) {
+        if (report.dryRun) {
+            done.push(describe(item));
+            continue;
+        }
+        try {
+            if (await action(item)) done.push(describe(item));
+        } catch (err) {
+            report.errors.push({ ...describe(item), error: err.message });
+        }
+    }
+    return done;
+};
+
+const describeUpload = (u) => ({ uploadId: u.id, status: u.status, filename: u.filename });
+
+const sweep = async (report) => {
+    report.expired = await apply(await findExpiredUploads(), expireUpload, describeUpload, report);
+    report.recovered = await apply(await findStuckProcessing(), recoverProcessing, describeUpload, report);
+    report.purged = await apply(await findPurgeable(), purgeUpload, describeUpload, report);
+    report.orphans = await apply(
+        await findOrphans(),
+        async (o) => { await storage.delete(o.key); return true; },
+        (o) => ({ key: o.key, size: o.size }),
+        report
+    );
+};
+
+// Stored copy of a report: counts always, item lists capped
+const storedReport = (report) => {
+    const out = { ...report };
+    for (const list of ['expired', 'recovered', 'purged', 'orphans', 'errors']) {
+        out[`${list}Count`] = report[list].length;
+        out[list] = report[list].slice(0, MAX_REPORTED_ITEMS);
+    }
+    return out;
+};
+
+const run = async ({ dryRun = config.dryRun, trigger = 'manual' } = {}) => {
+    if (running) throw janitorError(409, 'A janitor run is already in progress');
+    running = true;
+
+    let conn = null;
+    try {
+        conn = await db.getConnection();
+        const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, 0) AS locked', [LOCK_NAME]);
+        if (!locked) throw janitorError(409, 'A janitor run is already in progress on another instance');
+
+        const [inserted] = await db.query(
+            'INSERT INTO janitor_runs (trigger_source, dry_run, status) VALUES (?, ?, "RUNNING")',
+            [trigger, dryRun]
+        );
+        const report = {
+            runId: inserted.insertId,
+            dryRun,
+            trigger,
+            config,
+            expired: [],
+            recovered: [],
+            purged: [],
+            orphans: [],
+            errors: []
+        };
+
+        let status = 'SUCCEEDED';
+        let failure = null;
+        try {
+            await sweep(report);
+        } catch (err) {
+            status = 'FAILED';
+            failure = err.message;
+            log.error('Janitor run failed', { runId: report.runId, err });
+        }
+
+        const stored = storedReport(report);
+        await db.query(
+            'UPDATE janitor_runs SET status = ?, finished_at = CURRENT_TIMESTAMP, report = ?, error = ? WHERE id = ?',
+            [status, JSON.stringify(stored), failure, report.runId]
+        );
+        log.info('Janitor run finished', {
+            runId: report.runId,
+            trigger,
+            dryRun,
+            status,
+            expired: stored.expiredCount,
+            recovered: stored.recoveredCount,
+            purged: stored.purgedCount,
+            orphans: stored.orphansCount,
+            errors: stored.errorsCount
+        });
+        if (failure) throw janitorError(500, `Janitor run failed: ${failure}`);
+        return stored;
+    } finally {
+        // A failed getConnection() (database restarting, pool exhausted) must not block later runs
+        if (conn) {
+            await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+            conn.release();
+        }
+        running = false;
+    }
+};
+
+const toRun = (row) => ({
+    runId: row.id,
+    trigger: row.trigger_source,
+    dryRun: Boolean(row.dry_run),
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    error: row.error,
+    report: row.report ? JSON.parse(row.report) : null
+});
+
+const listRuns = async (limit = 20) => {
+    const [rows] = await db.query('SELECT * FROM janitor_runs ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map(toRun);
+};
+
+const getRun = async (runId) => {
+    const [rows] = await db.query('SELECT * FROM janitor_runs WHERE id = ?', [runId]);
+    return rows.length > 0 ? toRun(rows[0]) : null;
+};
+
+// Schedule: first run shortly after boot (recovers PROCESSING rows left by a crash), then every interval
+const start = () => {
+    if (!config.intervalMinutes) {
+        log.info('Janitor schedule disabled (JANITOR_INTERVAL_MINUTES=0)');
+        return;
+    }
+
+    const tick = () => log.runWithContext({}, () => run({ trigger: 'schedule' })).catch((err) => {
+        if (err.status !== 409) log.error('Janitor error', { err });
+    });
+
+    setTimeout(tick, 60 * 1000).unref();
+    setInterval(tick, config.intervalMinutes * 60 * 1000).unref();
+    log.info('Janitor scheduled', { intervalMinutes: config.intervalMinutes, dryRun: config.dryRun });
+};
+
+module.exports = {
+    config,
+    run,
+    listRuns,
+    getRun,
+    start
+};
@@ -0,0 +1,59 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logs: one JSON object per line ({ time, level, msg, requestId, uploadId, ... }),
+// errors and warnings on stderr, the rest on stdout. The request id and upload id come from the
+// async context (see middleware/requestLog.js), so every line written while serving a request,
+// including from services and from the finalize job it starts, carries them without passing
+// them around. LOG_LEVEL: debug | info (default) | warn | error.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const storage = new AsyncLocalStorage();
+
+// Errors become plain objects; the stack only where it helps (error level, unexpected errors)
+const serializeError = (err, withStack) => ({
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined ? { code: err.code } : {}),
+    ...(err.status !== undefined ? { status: err.status } : {}),
+    ...(withStack && err.stack ? { stack: err.stack } : {})
+});
+
+const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...storage.getStore(), ...fields };
+    for (const [key, value] of Object.entries(entry)) {
+        if (value instanceof Error) entry[key] = serializeError(value, level === 'error' && !value.status);
+    }
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (err) {
+        line = JSON.stringify({ time: entry.time, level, msg, ...storage.getStore(), logError: err.message });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+// Run `fn` with `context` ({ requestId, uploadId, ... }) attached to every line it logs
+const runWithContext = (context, fn) => storage.run({ ...context }, fn);
+
+// Add fields (e.g. the upload id, once known) to the current context
+const setContext = (fields) => {
+    const store = storage.getStore();
+    if (store) Object.assign(store, fields);
+};
+
+const context = () => storage.getStore() || {};
+
+module.exports = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    runWithContext,
+    setContext,
+    context
+};
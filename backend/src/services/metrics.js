@@ -0,0 +1,188 @@
+const db = require('../db');
+const storage = require('./storage');
+const log = require('./logger');
+const { envNumber } = require('../config');
+
+// Prometheus metrics, served as text (exposition format 0.0.4) on GET /metrics.
+// Counters and histograms are kept in memory per backend instance (scrape every instance);
+// gauges about uploads and storage are read from the database and the storage driver at scrape
+// time, so they describe the whole deployment. Label values are bounded (protocols, reasons,
+// route patterns, statuses): never ids or filenames.
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelText = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+const registry = [];
+
+// Label values in declaration order, so the same label set always maps to the same series
+const seriesFor = (series, labelNames, labels, create) => {
+    const values = labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    let entry = series.get(key);
+    if (!entry) {
+        entry = { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), ...create() };
+        series.set(key, entry);
+    }
+    return entry;
+};
+
+const counter = (name, help, labelNames = []) => {
+    const series = new Map();
+    const metric = {
+        name, help, type: 'counter',
+        inc(labels = {}, value = 1) {
+            seriesFor(series, labelNames, labels, () => ({ value: 0 })).value += value;
+        },
+        samples: () => [...series.values()].map(s => ({ name, labels: s.labels, value: s.value }))
+    };
+    registry.push(metric);
+    return metric;
+};
+
+// Buckets are upper bounds in seconds (or whatever unit the metric observes)
+const histogram = (name, help, labelNames, buckets) => {
+    const series = new Map();
+    const metric = {
+        name, help, type: 'histogram',
+        observe(labels, value) {
+            const s = seriesFor(series, labelNames, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, i) => {
+                if (value <= bound) s.counts[i]++;
+            });
+            s.sum += value;
+            s.count++;
+        },
+        // Returns a function that observes the seconds elapsed since this call
+        startTimer(labels = {}) {
+            const startedAt = process.hrtime.bigint();
+            return (extraLabels = {}) => metric.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        },
+        samples: () => [...series.values()].flatMap(s => [
+            ...buckets.map((bound, i) => ({ name: `${name}_bucket`, labels: { ...s.labels, le: String(bound) }, value: s.counts[i] })),
+            { name: `${name}_bucket`, labels: { ...s.labels, le: '+Inf' }, value: s.count },
+            { name: `${name}_sum`, labels: s.labels, value: s.sum },
+            { name: `${name}_count`, labels: s.labels, value: s.count }
+        ])
+    };
+    registry.push(metric);
+    return metric;
+};
+
+// `collect()` resolves with [{ labels, value }] at scrape time
+const gauge = (name, help, collect) => {
+    const metric = {
+        name, help, type: 'gauge',
+        samples: async () => (await collect()).map(s => ({ name, labels: s.labels || {}, value: s.value }))
+    };
+    registry.push(metric);
+    return metric;
+};
+
+// --- upload metrics ---
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const CHUNK_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const FINALIZE_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+
+const httpRequests = counter('uploader_http_requests_total', 'HTTP requests by route pattern and status code', ['method', 'route', 'status']);
+const httpDuration = histogram('uploader_http_request_duration_seconds', 'HTTP request duration, until the response is sent', ['method', 'route'], DURATION_BUCKETS);
+
+// protocol: "chunk" (PUT /upload/:id/chunk/:index) or "tus" (PATCH)
+const chunksReceived = counter('uploader_chunks_received_total', 'Chunks received, verified and acknowledged', ['protocol']);
+const chunkBytes = counter('uploader_chunk_bytes_total', 'Bytes of acknowledged chunks', ['protocol']);
+const chunkDuration = histogram('uploader_chunk_duration_seconds', 'Time to receive, verify and store one acknowledged chunk', ['protocol'], CHUNK_BUCKETS);
+// reason: checksum_mismatch, short_body, aborted, rejected (policy, body too long), write_error
+const chunkFailures = counter('uploader_chunk_failures_total', 'Chunk writes that were started but not acknowledged, by reason', ['protocol', 'reason']);
+const chunkRetries = counter('uploader_chunk_retries_total', 'Chunks sent again for a chunk index that was already attempted', ['protocol']);
+// limit: "requests" (RATE_LIMIT_RPS) or "chunk_writes" (concurrent chunk writes)
+const rateLimited = counter('uploader_rate_limited_total', 'Requests refused with 429, by limit', ['limit']);
+
+// outcome: completed, quarantined or failed
+const finalizeDuration = histogram('uploader_finalize_duration_seconds', 'Finalize job duration (assemble, hash, inspect, hooks, register)', ['outcome'], FINALIZE_BUCKETS);
+// outcome: delivered, retry or failed
+const webhookAttempts = counter('uploader_webhook_attempts_total', 'Outbound webhook delivery attempts, by event and outcome', ['event', 'outcome']);
+
+gauge('uploader_uploads', 'Uploads by status (all instances)', async () => {
+    const [rows] = await db.query('SELECT status, COUNT(*) AS count FROM uploads GROUP BY status');
+    return rows.map(r => ({ labels: { status: r.status }, value: Number(r.count) }));
+});
+
+gauge('uploader_blob_bytes', 'Bytes of distinct stored content (deduplicated blobs)', async () => {
+    const [[row]] = await db.query('SELECT COALESCE(SUM(size), 0) AS bytes FROM blobs');
+    return [{ value: Number(row.bytes) }];
+});
+
+// Stored objects are listed through the storage driver, which can be slow (many files, S3
+// paging): the totals are cached for METRICS_STORAGE_SCAN_SECONDS (default 300)
+const STORAGE_SCAN_MS = envNumber('METRICS_STORAGE_SCAN_SECONDS', 300) * 1000;
+let storageScan = null; // { at, promise }
+
+const scanStorage = () => {
+    if (storageScan && Date.now() - storageScan.at < STORAGE_SCAN_MS) return storageScan.promise;
+    const promise = (async () => {
+        let bytes = 0;
+        let objects = 0;
+        for await (const object of storage.list()) {
+            bytes += object.size || 0;
+            objects++;
+        }
+        return { bytes, objects };
+    })();
+    storageScan = { at: Date.now(), promise };
+    promise.catch(() => { storageScan = null; });
+    return promise;
+};
+
+gauge('uploader_storage_bytes', 'Bytes of all stored objects, in-progress uploads included (refreshed every METRICS_STORAGE_SCAN_SECONDS)', async () => {
+    const { bytes } = await scanStorage();
+    return [{ labels: { driver: storage.name }, value: bytes }];
+});
+
+gauge('uploader_storage_objects', 'Number of stored objects', async () => {
+    const { objects } = await scanStorage();
+    return [{ labels: { driver: storage.name }, value: objects }];
+});
+
+gauge('process_resident_memory_bytes', 'Resident memory of this backend instance', async () => [{ value: process.memoryUsage().rss }]);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use', async () => [{ value: process.memoryUsage().heapUsed }]);
+gauge('process_uptime_seconds', 'Seconds since this backend instance started', async () => [{ value: Math.round(process.uptime()) }]);
+
+// The exposition text. A gauge whose source fails is left out (and logged), the rest still render.
+const render = async () => {
+    const blocks = await Promise.all(registry.map(async (metric) => {
+        let samples;
+        try {
+            samples = await metric.samples();
+        } catch (err) {
+            log.warn('Metric collection failed', { metric: metric.name, err });
+            return '';
+        }
+        return [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...samples.map(s => `${s.name}${labelText(s.labels)} ${formatValue(s.value)}`)
+        ].join('\n') + '\n';
+    }));
+    return blocks.join('');
+};
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    httpRequests,
+    httpDuration,
+    chunksReceived,
+    chunkBytes,
+    chunkDuration,
+    chunkFailures,
+    chunkRetries,
+    rateLimited,
+    finalizeDuration,
+    webhookAttempts,
+    render
+};
@@ -0,0 +1,121 @@
+const { envNumber } = require('../config');
+
+// Server-side limits per client (per backend instance, in memory, like the tus PATCH locks):
+// - RATE_LIMIT_RPS / RATE_LIMIT_BURST: API requests per second, as a token bucket (0 = off)
+// - MAX_CHUNK_WRITES_PER_CLIENT / MAX_CHUNK_WRITES_PER_UPLOAD: chunk and tus PATCH bodies
+//   being written at the same time (0 = off)
+// - BANDWIDTH_LIMIT_BYTES_PER_SECOND: chunk bytes accepted per second, shared by all of a
+//   client's writes (0 = off). Excess input is paused, not rejected.
+// A "client" is the authenticated owner, or the remote address when auth is disabled.
+
+const config = {
+    requestsPerSecond: envNumber('RATE_LIMIT_RPS', 20),
+    requestBurst: envNumber('RATE_LIMIT_BURST', 40),
+    chunkWritesPerClient: envNumber('MAX_CHUNK_WRITES_PER_CLIENT', 8),
+    chunkWritesPerUpload: envNumber('MAX_CHUNK_WRITES_PER_UPLOAD', 6),
+    bytesPerSecond: envNumber('BANDWIDTH_LIMIT_BYTES_PER_SECOND', 0)
+};
+
+const SWEEP_INTERVAL = 60 * 1000; // idle (full) buckets are dropped this often
+
+// Token bucket: `rate` tokens per second, holding at most `burst`
+const createBucket = (rate, burst) => {
+    let tokens = burst;
+    let updatedAt = Date.now();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - updatedAt) / 1000) * rate);
+        updatedAt = now;
+    };
+
+    return {
+        // Takes `n` tokens if they are there. Returns 0, or the ms until they would be.
+        tryTake(n = 1) {
+            refill();
+            if (tokens >= n) {
+                tokens -= n;
+                return 0;
+            }
+            return Math.ceil(((n - tokens) / rate) * 1000);
+        },
+        // Always takes `n` (going into debt). Returns the ms to wait before using them.
+        reserve(n) {
+            refill();
+            tokens -= n;
+            return tokens >= 0 ? 0 : Math.ceil((-tokens / rate) * 1000);
+        },
+        isIdle() {
+            refill();
+            return tokens >= burst;
+        }
+    };
+};
+
+const requestBuckets = new Map(); // client -> bucket
+const bandwidthBuckets = new Map(); // client -> bucket
+const clientWrites = new Map(); // client -> active chunk writes
+const uploadWrites = new Map(); // upload id -> active chunk writes
+
+const bucketFor = (buckets, client, rate, burst) => {
+    let bucket = buckets.get(client);
+    if (!bucket) {
+        bucket = createBucket(rate, burst);
+        buckets.set(client, bucket);
+    }
+    return bucket;
+};
+
+// 0 if the request may proceed, else the ms until the client may try again
+const takeRequest = (client) => {
+    if (!config.requestsPerSecond) return 0;
+    return bucketFor(requestBuckets, client, config.requestsPerSecond, config.requestBurst).tryTake();
+};
+
+const increment = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+const decrement = (counts, key) => {
+    const count = counts.get(key) - 1;
+    if (count > 0) counts.set(key, count);
+    else counts.delete(key);
+};
+
+// A chunk write slot for `client` on `uploadId`: a release function, or null if
+// either limit is reached. Call it when the write has finished or failed (later calls do nothing).
+const acquireWrite = (client, uploadId) => {
+    if (config.chunkWritesPerClient && (clientWrites.get(client) || 0) >= config.chunkWritesPerClient) return null;
+    if (config.chunkWritesPerUpload && (uploadWrites.get(uploadId) || 0) >= config.chunkWritesPerUpload) return null;
+
+    increment(clientWrites, client);
+    increment(uploadWrites, uploadId);
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        decrement(clientWrites, client);
+        decrement(uploadWrites, uploadId);
+    };
+};
+
+// ingest.receive throttle for `client`: (bytes) => ms to hold them back, or null when unlimited.
+// The bucket holds one second of traffic, so short bursts pass unthrottled.
+const throttleFor = (client) => {
+    if (!config.bytesPerSecond) return null;
+    const bucket = bucketFor(bandwidthBuckets, client, config.bytesPerSecond, config.bytesPerSecond);
+    return (bytes) => bucket.reserve(bytes);
+};
+
+const sweep = () => {
+    for (const buckets of [requestBuckets, bandwidthBuckets]) {
+        for (const [client, bucket] of buckets) {
+            if (bucket.isIdle()) buckets.delete(client);
+        }
+    }
+};
+setInterval(sweep, SWEEP_INTERVAL).unref();
+
+module.exports = {
+    config,
+    takeRequest,
+    acquireWrite,
+    throttleFor
+};
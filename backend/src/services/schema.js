@@ -0,0 +1,49 @@
+const db = require('../db');
+
+// db/init.sql only runs against an empty MySQL volume, and its CREATE TABLE IF NOT EXISTS never
+// alters a table that is already there, so a database created by an older version keeps its old
+// schema (INT upload ids, missing tables and columns). There is no automatic migration: the
+// backend checks for the current schema at startup and refuses to run on an old one, instead of
+// failing on every insert. See "Upgrading an existing database" in the README.
+
+// Tables of the current schema, with columns that older versions lacked
+const REQUIRED = {
+    uploads: ['owner_id', 'fingerprint', 'storage_key', 'chunk_failure_alerted'],
+    chunks: ['byte_offset', 'byte_length', 'checksum', 'etag'],
+    blobs: ['content_type'],
+    janitor_runs: [],
+    finalize_jobs: [],
+    archive_inspections: [],
+    archive_entries: [],
+    hook_results: [],
+    webhook_deliveries: ['redelivery_of']
+};
+
+// Resolves with a list of problems (empty when the schema is current)
+const check = async () => {
+    const [rows] = await db.query(
+        'SELECT TABLE_NAME AS tableName, COLUMN_NAME AS columnName, DATA_TYPE AS dataType FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()'
+    );
+    const columns = new Map(rows.map(r => [`${r.tableName}.${r.columnName}`, r.dataType.toLowerCase()]));
+    const tables = new Set(rows.map(r => r.tableName));
+
+    const problems = [];
+    for (const [table, required] of Object.entries(REQUIRED)) {
+        if (!tables.has(table)) {
+            problems.push(`missing table ${table}`);
+            continue;
+        }
+        for (const column of required) {
+            if (!columns.has(`${table}.${column}`)) problems.push(`missing column ${table}.${column}`);
+        }
+    }
+    // Upload ids became UUIDs with authentication
+    if (columns.has('uploads.id') && columns.get('uploads.id') !== 'char') {
+        problems.push(`uploads.id is ${columns.get('uploads.id')}, expected char(36)`);
+    }
+    return problems;
+};
+
+module.exports = {
+    check
+};
@@ -0,0 +1,28 @@
+// Storage driver selection. Every driver implements:
+//   init(key)                                   -> { storageUploadId }
+//   isResumable(key, { storageUploadId })       -> boolean
+//   writeChunk(key, { index, offset, stream, length, storageUploadId }) -> staged chunk { etag, ... }
+//   commitChunk(key, { offset, ...staged })     (once the caller has verified the chunk)
+//   discardChunk(key, staged)                   (a chunk that failed verification)
+//   assemble(key, { storageUploadId, parts: [{ index, etag }] })
+//   createReadStream(key, { start, end })       -> Readable (end inclusive)
+//   stat(key)                                   -> { size, modifiedAt } | null
+//   delete(key, { storageUploadId })
+//   list()                                      -> async iterable of { key, size, modifiedAt }
+// and may declare `minPartSize` (bytes) when chunks other than the last have a size floor,
+// and `truncate(key, size)` when stored objects can be shortened in place.
+//
+// STORAGE_DRIVER=local (default, files under backend/uploads) | s3 (S3-compatible multipart)
+
+const DRIVERS = {
+    local: () => require('./localDriver'),
+    s3: () => require('./s3Driver')
+};
+
+const name = process.env.STORAGE_DRIVER || 'local';
+
+if (!DRIVERS[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+}
+
+module.exports = DRIVERS[name]();
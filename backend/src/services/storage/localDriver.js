@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Default driver: one sparse file per upload under UPLOADS_DIR, chunks written in place at their byte offset.
+// A chunk body is first staged in a file of its own under .staging/ and only copied into place
+// once the caller has verified it (commitChunk).
+// Needs a shared volume if several backend instances serve the same uploads.
+
+const UPLOADS_DIR = path.join(__dirname, '../../../uploads');
+const STAGING_DIR = path.join(UPLOADS_DIR, '.staging');
+
+const getFilePath = (key) => path.join(UPLOADS_DIR, `${key}.bin`);
+
+// Staged chunks of `key` left behind by a crash between staging and commit
+const removeStaged = async (key) => {
+    const names = await fs.readdir(STAGING_DIR).catch(() => []);
+    await Promise.all(names.filter(name => name.startsWith(`${key}.`)).map(name => fs.remove(path.join(STAGING_DIR, name))));
+};
+
+module.exports = {
+    name: 'local',
+
+    UPLOADS_DIR,
+
+    getFilePath,
+
+    // Reserve the file. No driver-side upload state, so storageUploadId stays null.
+    async init(key) {
+        await fs.ensureFile(getFilePath(key));
+        return { storageUploadId: null };
+    },
+
+    // Partial data still usable for a resume?
+    async isResumable(key) {
+        return fs.existsSync(getFilePath(key));
+    },
+
+    // `stream` is the chunk body, piped straight from the request (never buffered) into a staging
+    // file; retries of the same chunk each get their own
+    async writeChunk(key, { index, stream }) {
+        await fs.ensureDir(STAGING_DIR);
+        const staging = path.join(STAGING_DIR, `${key}.${index}.${crypto.randomUUID()}`);
+        try {
+            await pipeline(stream, fs.createWriteStream(staging, { flags: 'wx' }));
+        } catch (err) {
+            await fs.remove(staging).catch(() => {});
+            throw err;
+        }
+        return { etag: null, staging };
+    },
+
+    // Copy a verified chunk to its byte offset in the upload's file
+    async commitChunk(key, { offset, staging }) {
+        const filePath = getFilePath(key);
+
+        // Open file in 'r+' mode (read/write, does not truncate). `r+` requires the file to exist,
+        // so recreate it if it vanished (server crash / deleted temp file).
+        if (!fs.existsSync(filePath)) {
+            await fs.ensureFile(filePath);
+        }
+
+        try {
+            await pipeline(fs.createReadStream(staging), fs.createWriteStream(filePath, { flags: 'r+', start: offset }));
+        } finally {
+            await fs.remove(staging);
+        }
+    },
+
+    async discardChunk(key, { staging }) {
+        await fs.remove(staging);
+    },
+
+    // Chunks already sit at their offsets; nothing to stitch together
+    async assemble(key) {
+        await removeStaged(key);
+    },
+
+    createReadStream(key, { start, end } = {}) {
+        return fs.createReadStream(getFilePath(key), { start, end });
+    },
+
+    // Drop bytes past `size` (a reused file can be longer than the upload)
+    async truncate(key, size) {
+        await fs.truncate(getFilePath(key), size);
+    },
+
+    async stat(key) {
+        try {
+            const stats = await fs.stat(getFilePath(key));
+            return { size: stats.size, modifiedAt: stats.mtime };
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    },
+
+    async delete(key) {
+        await fs.remove(getFilePath(key));
+        await removeStaged(key);
+    },
+
+    // Every stored object (used by the janitor's orphan sweep)
+    async *list() {
+        const names = await fs.readdir(UPLOADS_DIR);
+        for (const name of names) {
+            if (!name.endsWith('.bin')) continue;
+            const key = name.slice(0, -'.bin'.length);
+            const stats = await this.stat(key);
+            if (stats) yield { key, ...stats };
+        }
+    }
+};
@@ -0,0 +1,171 @@
+const { PassThrough } = require('stream');
+const {
+    S3Client,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListPartsCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// S3-compatible driver (AWS S3, MinIO, ...). Each upload is an S3 multipart upload and
+// chunk N maps onto part N+1, so no shared volume is needed between backend instances.
+// Note: S3 requires every part except the last to be >= 5MB.
+//
+// Env: S3_BUCKET, S3_REGION, S3_ENDPOINT (e.g. http://minio:9000), S3_ACCESS_KEY_ID,
+//      S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE (true for MinIO), S3_PREFIX
+
+const BUCKET = process.env.S3_BUCKET || 'uploads';
+const PREFIX = process.env.S3_PREFIX || '';
+
+const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+});
+
+const objectKey = (key) => `${PREFIX}${key}.bin`;
+
+const isNotFound = (err) =>
+    err.name === 'NotFound' || err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+module.exports = {
+    name: 's3',
+
+    // S3 rejects multipart parts below 5MB (except the last one)
+    minPartSize: 5 * 1024 * 1024,
+
+    async init(key) {
+        const { UploadId } = await client.send(new CreateMultipartUploadCommand({
+            Bucket: BUCKET,
+            Key: objectKey(key),
+            ContentType: 'application/octet-stream'
+        }));
+        return { storageUploadId: UploadId };
+    },
+
+    // The multipart upload must still be open on the S3 side (not aborted/expired)
+    async isResumable(key, { storageUploadId } = {}) {
+        if (!storageUploadId) return false;
+        try {
+            await client.send(new ListPartsCommand({
+                Bucket: BUCKET,
+                Key: objectKey(key),
+                UploadId: storageUploadId,
+                MaxParts: 1
+            }));
+            return true;
+        } catch (err) {
+            if (err.name === 'NoSuchUpload' || isNotFound(err)) return false;
+            throw err;
+        }
+    },
+
+    // Offset is implied by the part number (S3 orders parts at completion).
+    // `stream` comes straight from the request, so S3 needs its exact length up front.
+    async writeChunk(key, { index, stream, length, storageUploadId }) {
+        const { ETag } = await client.send(new UploadPartCommand({
+            Bucket: BUCKET,
+            Key: objectKey(key),
+            UploadId: storageUploadId,
+            PartNumber: index + 1,
+            Body: stream,
+            ContentLength: length
+        }));
+        return { etag: ETag };
+    },
+
+    // An uploaded part is already staged: it only becomes part of the object when assemble lists
+    // its ETag, and only acknowledged chunks' ETags are listed. A rejected one is replaced by the
+    // retry (same part number) or dropped by assemble / abort.
+    async commitChunk() {},
+
+    async discardChunk() {},
+
+    // parts: [{ index, etag }] sorted by index
+    async assemble(key, { storageUploadId, parts }) {
+        try {
+            await client.send(new CompleteMultipartUploadCommand({
+                Bucket: BUCKET,
+                Key: objectKey(key),
+                UploadId: storageUploadId,
+                MultipartUpload: {
+                    Parts: parts.map(p => ({ PartNumber: p.index + 1, ETag: p.etag }))
+                }
+            }));
+        } catch (err) {
+            // A retried finalize finds the multipart already completed: fine if the object is there
+            if (err.name === 'NoSuchUpload' && await this.stat(key)) return;
+            throw err;
+        }
+    },
+
+    // Synchronous stream (yauzl's random access reader needs one), filled once GetObject resolves
+    createReadStream(key, { start, end } = {}) {
+        const out = new PassThrough();
+        const range = start !== undefined || end !== undefined
+            ? `bytes=${start || 0}-${end !== undefined ? end : ''}`
+            : undefined;
+
+        client.send(new GetObjectCommand({ Bucket: BUCKET, Key: objectKey(key), Range: range }))
+            .then(({ Body }) => {
+                Body.on('error', (err) => out.destroy(err));
+                Body.pipe(out);
+            })
+            .catch((err) => out.destroy(err));
+
+        return out;
+    },
+
+    async stat(key) {
+        try {
+            const head = await client.send(new HeadObjectCommand({ Bucket: BUCKET, Key: objectKey(key) }));
+            return { size: head.ContentLength, modifiedAt: head.LastModified };
+        } catch (err) {
+            if (isNotFound(err)) return null;
+            throw err;
+        }
+    },
+
+    // Also aborts the in-progress multipart upload so S3 drops the stored parts
+    async delete(key, { storageUploadId } = {}) {
+        if (storageUploadId) {
+            try {
+                await client.send(new AbortMultipartUploadCommand({
+                    Bucket: BUCKET,
+                    Key: objectKey(key),
+                    UploadId: storageUploadId
+                }));
+            } catch (err) {
+                if (err.name !== 'NoSuchUpload' && !isNotFound(err)) throw err;
+            }
+        }
+        await client.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: objectKey(key) }));
+    },
+
+    // Completed objects under S3_PREFIX. Abandoned multipart uploads are not listed:
+    // use a bucket lifecycle rule (AbortIncompleteMultipartUpload) for those.
+    async *list() {
+        let ContinuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({ Bucket: BUCKET, Prefix: PREFIX, ContinuationToken }));
+            for (const object of page.Contents || []) {
+                if (!object.Key.endsWith('.bin')) continue;
+                yield {
+                    key: object.Key.slice(PREFIX.length, -'.bin'.length),
+                    size: object.Size,
+                    modifiedAt: object.LastModified
+                };
+            }
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+    }
+};
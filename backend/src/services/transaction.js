@@ -0,0 +1,31 @@
+const db = require('../db');
+
+// Run `fn(conn)` inside a transaction on a dedicated connection
+const withTransaction = async (fn) => {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+        const result = await fn(conn);
+        await conn.commit();
+        return result;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+// Run `fn(conn, upload)` while holding the upload's row lock, only if its status is one of `statuses`.
+// Resolves with fn's result, or `null` (nothing run) if the upload is missing or in another state.
+// Writers that must not race a status change (cancel, finalize) take the same lock.
+const withUploadLock = (uploadId, statuses, fn) => withTransaction(async (conn) => {
+    const [rows] = await conn.query('SELECT * FROM uploads WHERE id = ? FOR UPDATE', [uploadId]);
+    if (rows.length === 0 || !statuses.includes(rows[0].status)) return null;
+    return fn(conn, rows[0]);
+});
+
+module.exports = {
+    withTransaction,
+    withUploadLock
+};
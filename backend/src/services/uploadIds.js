@@ -0,0 +1,7 @@
+const crypto = require('crypto');
+
+// Upload ids are random UUIDs (122 random bits), so knowing one upload's id says nothing about
+// another's. They also serve as the storage keys of in-progress data (see blobStore.storageKeyFor).
+const newUploadId = () => crypto.randomUUID();
+
+module.exports = { newUploadId };
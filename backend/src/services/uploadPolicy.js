@@ -0,0 +1,143 @@
+const db = require('../db');
+const { envNumber } = require('../config');
+
+// Upload policy, checked in full when an upload is created (POST /upload/init, tus creation) or
+// resumed (init again), which is where its bytes are reserved. Chunks are not checked: a chunk
+// can't outgrow the declared size, and the policy only changes with a restart:
+// - MAX_FILE_SIZE_BYTES: largest accepted file
+// - ALLOWED_EXTENSIONS ("zip,tar.gz,pdf") and ALLOWED_MIME_TYPES ("application/zip,image/*"): empty = anything
+// - MAX_CONCURRENT_UPLOADS: unfinished (UPLOADING/PROCESSING) uploads per owner
+// - USER_QUOTA_BYTES / GLOBAL_QUOTA_BYTES: stored plus reserved bytes, per owner / in total
+// Numeric limits of 0 disable the check. Violations are errors with { status, code, details }.
+//
+// Usage comes from the `uploads` table: an unfinished upload reserves its full declared size
+// from the start, a COMPLETED one counts once per distinct content (dedup copies are free), and a
+// QUARANTINED one keeps its own copy until the janitor purges it.
+
+const envList = (name) => (process.env[name] || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+const config = {
+    maxFileSize: envNumber('MAX_FILE_SIZE_BYTES', 10 * 1024 * 1024 * 1024),
+    allowedExtensions: envList('ALLOWED_EXTENSIONS').map(ext => ext.replace(/^\./, '')),
+    allowedMimeTypes: envList('ALLOWED_MIME_TYPES'),
+    maxConcurrentUploads: envNumber('MAX_CONCURRENT_UPLOADS', 10),
+    userQuota: envNumber('USER_QUOTA_BYTES', 0),
+    globalQuota: envNumber('GLOBAL_QUOTA_BYTES', 0)
+};
+
+// Admissions are serialized through a MySQL named lock (shared by every backend instance),
+// so two concurrent inits can't both claim the last free bytes of a quota
+const LOCK_NAME = 'uploader_policy';
+const LOCK_TIMEOUT_SECONDS = 10;
+
+const policyError = (status, code, message, details = {}) => Object.assign(new Error(message), { status, code, details });
+
+const extensionAllowed = (filename) =>
+    config.allowedExtensions.length === 0 ||
+    config.allowedExtensions.some(ext => filename.toLowerCase().endsWith(`.${ext}`));
+
+const mimeTypeAllowed = (mimeType) => config.allowedMimeTypes.some(allowed =>
+    allowed === mimeType || (allowed.endsWith('/*') && mimeType.startsWith(allowed.slice(0, -1))));
+
+// Checks that only need the declared file: size, extension, type (when the client declared one)
+const checkFile = ({ filename, totalSize, mimeType }) => {
+    if (config.maxFileSize && totalSize > config.maxFileSize) {
+        throw policyError(413, 'FILE_TOO_LARGE', `File exceeds the maximum size of ${config.maxFileSize} bytes`,
+            { maxFileSize: config.maxFileSize });
+    }
+    if (!extensionAllowed(filename)) {
+        throw policyError(415, 'EXTENSION_NOT_ALLOWED', 'File type not allowed',
+            { allowedExtensions: config.allowedExtensions });
+    }
+    if (mimeType !== undefined && config.allowedMimeTypes.length > 0) {
+        // Undeclared types (empty File.type) count as generic binary data
+        const type = (mimeType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+        if (!mimeTypeAllowed(type)) {
+            throw policyError(415, 'MIME_TYPE_NOT_ALLOWED', `Content type ${type} not allowed`,
+                { allowedMimeTypes: config.allowedMimeTypes });
+        }
+    }
+};
+
+// Reserved (unfinished) plus stored bytes, for one owner or (ownerId null) everyone
+const usedBytes = async (conn, ownerId) => {
+    const scope = ownerId === null ? '' : 'owner_id = ? AND ';
+    const params = ownerId === null ? [] : [ownerId];
+    const [[row]] = await conn.query(
+        `SELECT
+            (SELECT COALESCE(SUM(total_size), 0) FROM uploads WHERE ${scope}status IN ("UPLOADING", "PROCESSING", "QUARANTINED")) AS reserved,
+            (SELECT COALESCE(SUM(size), 0) FROM (
+                SELECT MAX(total_size) AS size FROM uploads WHERE ${scope}status = "COMPLETED" GROUP BY final_hash
+            ) AS stored) AS stored`,
+        [...params, ...params]
+    );
+    return Number(row.reserved) + Number(row.stored);
+};
+
+// Quotas (and, for a new upload, the concurrency cap) with `additional` bytes about to be reserved.
+// `conn`: the connection to query on (admit's, which holds the lock), else the pool.
+const checkCapacity = async (ownerId, { additional = 0, newUpload = false, conn = db } = {}) => {
+    if (newUpload && config.maxConcurrentUploads) {
+        const [[{ active }]] = await conn.query(
+            'SELECT COUNT(*) AS active FROM uploads WHERE owner_id = ? AND status IN ("UPLOADING", "PROCESSING")',
+            [ownerId]
+        );
+        if (active >= config.maxConcurrentUploads) {
+            throw policyError(409, 'TOO_MANY_UPLOADS', `At most ${config.maxConcurrentUploads} unfinished uploads per user`,
+                { maxConcurrentUploads: config.maxConcurrentUploads });
+        }
+    }
+    if (config.userQuota) {
+        const used = await usedBytes(conn, ownerId);
+        if (used + additional > config.userQuota) {
+            throw policyError(413, 'USER_QUOTA_EXCEEDED', 'Storage quota exceeded',
+                { quotaBytes: config.userQuota, usedBytes: used });
+        }
+    }
+    if (config.globalQuota) {
+        const used = await usedBytes(conn, null);
+        if (used + additional > config.globalQuota) {
+            throw policyError(507, 'STORAGE_FULL', 'The server has no storage left for this upload');
+        }
+    }
+};
+
+// Full check for a new upload, without reserving anything (preflight)
+const check = async (ownerId, file) => {
+    checkFile(file);
+    await checkCapacity(ownerId, { additional: file.totalSize, newUpload: true });
+};
+
+// Check a new upload and run `create(conn)` (which inserts its row, reserving the space) before any
+// other admission can look at the usage. Everything runs on the connection holding the lock: with
+// a full pool of waiting admissions, the holder could not get another one.
+const admit = async (ownerId, file, create) => {
+    checkFile(file);
+
+    const conn = await db.getConnection();
+    try {
+        const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+        if (!locked) throw policyError(503, 'POLICY_BUSY', 'Too many uploads starting at once, try again');
+
+        await checkCapacity(ownerId, { additional: file.totalSize, newUpload: true, conn });
+        return await create(conn);
+    } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+        conn.release();
+    }
+};
+
+// Re-check an unfinished upload when it is resumed. Its own reservation is already part of the
+// usage, so only a quota lowered (or overrun) since init fails here.
+const recheck = async (upload) => {
+    checkFile({ filename: upload.filename, totalSize: Number(upload.total_size) });
+    await checkCapacity(upload.owner_id);
+};
+
+module.exports = {
+    config,
+    checkFile,
+    check,
+    admit,
+    recheck
+};
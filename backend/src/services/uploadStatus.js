@@ -0,0 +1,180 @@
+const db = require('../db');
+const hooks = require('./hooks');
+
+// Read-only views over `uploads`/`chunks` for the status and listing endpoints.
+// Byte ranges are { start, end } with `end` exclusive.
+
+const STATUSES = ['UPLOADING', 'PROCESSING', 'COMPLETED', 'QUARANTINED', 'FAILED', 'CANCELLED'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const queryError = (status, message) => Object.assign(new Error(message), { status });
+
+// Merge UPLOADED chunks (sorted by offset) into contiguous runs and derive the gaps
+const computeRanges = (chunks, totalSize) => {
+    const received = [];
+    for (const c of chunks) {
+        const last = received[received.length - 1];
+        const end = c.byte_offset + c.byte_length;
+        if (last && c.byte_offset <= last.end) {
+            last.end = Math.max(last.end, end);
+            last.lastChunk = c.chunk_index;
+        } else {
+            received.push({ start: c.byte_offset, end, firstChunk: c.chunk_index, lastChunk: c.chunk_index });
+        }
+    }
+
+    const missing = [];
+    let cursor = 0;
+    for (const r of received) {
+        if (r.start > cursor) missing.push({ start: cursor, end: r.start });
+        cursor = r.end;
+    }
+    if (cursor < totalSize) missing.push({ start: cursor, end: totalSize });
+
+    return { received, missing };
+};
+
+const summarize = (upload, receivedBytes) => ({
+    uploadId: upload.id,
+    ownerId: upload.owner_id,
+    filename: upload.filename,
+    relativePath: upload.relative_path,
+    status: upload.status,
+    totalSize: Number(upload.total_size),
+    receivedBytes,
+    hash: upload.final_hash,
+    createdAt: upload.created_at,
+    updatedAt: upload.updated_at,
+    expiresAt: upload.expires_at
+});
+
+// Full status of one upload, or null if it doesn't exist
+const describe = async (uploadId) => {
+    const [rows] = await db.query('SELECT * FROM uploads WHERE id = ?', [uploadId]);
+    if (rows.length === 0) return null;
+    const upload = rows[0];
+    const totalSize = Number(upload.total_size);
+
+    const [chunks] = await db.query(
+        'SELECT chunk_index, byte_offset, byte_length, status, received_at FROM chunks WHERE upload_id = ? AND byte_offset IS NOT NULL ORDER BY byte_offset',
+        [upload.id]
+    );
+    const uploaded = chunks.filter(c => c.status === 'UPLOADED');
+
+    // Deduplicated uploads never had chunks: their content is the shared blob
+    const ranges = upload.status === 'COMPLETED'
+        ? { received: totalSize > 0 ? [{ start: 0, end: totalSize }] : [], missing: [] }
+        : computeRanges(uploaded, totalSize);
+
+    const receivedBytes = ranges.received.reduce((sum, r) => sum + (r.end - r.start), 0);
+    const lastChunkAt = chunks.reduce((latest, c) => (!latest || c.received_at > latest ? c.received_at : latest), null);
+
+    return {
+        ...summarize(upload, receivedBytes),
+        received: ranges.received,
+        missing: ranges.missing,
+        // Attempted but not acknowledged: must be re-sent with the same range
+        pendingChunks: chunks.filter(c => c.status === 'PENDING').map(c => c.chunk_index),
+        uploadedChunks: uploaded.length,
+        lastChunkAt,
+        // Outcome of each processing hook (see hooks/), once finalize has run them
+        processing: await hooks.load(upload.id)
+    };
+};
+
+// Opaque cursor: created_at and id of the last row of the previous page (results are newest
+// first; ids are random, so they only break ties between rows created in the same second)
+const encodeCursor = (upload) => Buffer.from(JSON.stringify([upload.created_at.getTime(), upload.id])).toString('base64url');
+const decodeCursor = (cursor) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (err) {
+        throw queryError(400, 'Invalid cursor');
+    }
+    if (!Array.isArray(decoded) || !Number.isSafeInteger(decoded[0]) || typeof decoded[1] !== 'string') {
+        throw queryError(400, 'Invalid cursor');
+    }
+    return { createdAt: new Date(decoded[0]), id: decoded[1] };
+};
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw queryError(400, `Invalid ${name} date`);
+    return date;
+};
+
+// LIKE pattern for a plain substring match
+const likeSubstring = (text) => `%${text.replace(/[\\%_]/g, (c) => '\\' + c)}%`;
+
+// filters: { status: 'A,B', from, to, filename, limit, cursor } (query string values).
+// Only the principal's own uploads, unless it is an admin.
+const list = async (filters = {}, principal) => {
+    const where = [];
+    const params = [];
+
+    if (!principal.admin) {
+        where.push('owner_id = ?');
+        params.push(principal.ownerId);
+    }
+    if (filters.status) {
+        const statuses = String(filters.status).split(',').map(s => s.trim().toUpperCase());
+        const unknown = statuses.filter(s => !STATUSES.includes(s));
+        if (unknown.length > 0) throw queryError(400, `Unknown status: ${unknown.join(', ')}`);
+        where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    }
+    if (filters.from) {
+        where.push('created_at >= ?');
+        params.push(parseDate(filters.from, 'from'));
+    }
+    if (filters.to) {
+        where.push('created_at < ?');
+        params.push(parseDate(filters.to, 'to'));
+    }
+    if (filters.filename) {
+        where.push('filename LIKE ?');
+        params.push(likeSubstring(String(filters.filename)));
+    }
+    if (filters.cursor) {
+        const { createdAt, id } = decodeCursor(String(filters.cursor));
+        where.push('(created_at < ? OR (created_at = ? AND id < ?))');
+        params.push(createdAt, createdAt, id);
+    }
+
+    const limit = filters.limit === undefined ? DEFAULT_PAGE_SIZE : Number(filters.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw queryError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    // One extra row tells us whether there is a next page
+    const [rows] = await db.query(
+        `SELECT * FROM uploads ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...params, limit + 1]
+    );
+    const page = rows.slice(0, limit);
+
+    // Received bytes for the whole page in one query
+    const received = new Map();
+    if (page.length > 0) {
+        const [sums] = await db.query(
+            'SELECT upload_id, SUM(byte_length) AS bytes FROM chunks WHERE status = "UPLOADED" AND upload_id IN (?) GROUP BY upload_id',
+            [page.map(u => u.id)]
+        );
+        for (const s of sums) received.set(s.upload_id, Number(s.bytes));
+    }
+
+    return {
+        uploads: page.map(u => summarize(u, u.status === 'COMPLETED' ? Number(u.total_size) : (received.get(u.id) || 0))),
+        nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null
+    };
+};
+
+module.exports = {
+    STATUSES,
+    computeRanges,
+    describe,
+    list
+};
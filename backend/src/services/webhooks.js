@@ -0,0 +1,364 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const db = require('../db');
+const log = require('./logger');
+const metrics = require('./metrics');
+const { envNumber } = require('../config');
+
+// Outbound lifecycle events. Endpoints are configured as JSON in WEBHOOKS (or in the file named by
+// WEBHOOKS_FILE):
+//   [{ "url": "https://example.com/uploads", "secret": "...", "events": ["upload.completed"] }]
+// ("events" defaults to all of them). emit() records one delivery per subscribed endpoint in
+// `webhook_deliveries`; a dispatcher in every backend instance sends due deliveries, retrying
+// failures with exponential backoff until WEBHOOK_MAX_ATTEMPTS. Deliveries survive restarts, and
+// instances claim a delivery before sending it, so each attempt is made once.
+//
+// Each request is a POST of { id, event, createdAt, data: { upload, ... } } signed with the
+// endpoint's secret: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+// `id` (also X-Webhook-Id) is the event's id: the same for every endpoint and every redelivery,
+// so receivers can drop duplicates.
+
+const EVENTS = {
+    'upload.created': 'UPLOADING',
+    'upload.resumed': 'UPLOADING',
+    'upload.chunk_failure_rate_exceeded': 'UPLOADING',
+    'upload.completed': 'COMPLETED',
+    'upload.quarantined': 'QUARANTINED',
+    'upload.failed': 'FAILED',
+    'upload.cancelled': 'CANCELLED'
+};
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'FAILED'];
+
+const webhookError = (message) => new Error(`Invalid WEBHOOKS: ${message}`);
+
+const loadEndpoints = () => {
+    let raw = process.env.WEBHOOKS;
+    if (!raw && process.env.WEBHOOKS_FILE) raw = fs.readFileSync(process.env.WEBHOOKS_FILE, 'utf8');
+    if (!raw) return [];
+
+    let endpoints;
+    try {
+        endpoints = JSON.parse(raw);
+    } catch (err) {
+        throw webhookError(err.message);
+    }
+    if (!Array.isArray(endpoints)) throw webhookError('expected an array of endpoints');
+
+    return endpoints.map((endpoint, index) => {
+        const name = String((endpoint && endpoint.name) || `endpoint-${index + 1}`).slice(0, 64);
+        let url;
+        try {
+            url = new URL(endpoint.url);
+        } catch (err) {
+            throw webhookError(`${name}: url must be a valid URL`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw webhookError(`${name}: url must be http(s)`);
+        if (typeof endpoint.secret !== 'string' || endpoint.secret.length < 16) {
+            throw webhookError(`${name}: secret must be a string of at least 16 characters`);
+        }
+        const events = endpoint.events || Object.keys(EVENTS);
+        const unknown = Array.isArray(events) ? events.filter(e => !EVENTS[e]) : [];
+        if (!Array.isArray(events) || unknown.length > 0) {
+            throw webhookError(`${name}: unknown events ${JSON.stringify(unknown)} (expected some of: ${Object.keys(EVENTS).join(', ')})`);
+        }
+        return { name, url: url.href, secret: endpoint.secret, events };
+    });
+};
+
+const config = {
+    endpoints: loadEndpoints(),
+    maxAttempts: envNumber('WEBHOOK_MAX_ATTEMPTS', 10),
+    retryBaseSeconds: envNumber('WEBHOOK_RETRY_BASE_SECONDS', 30), // doubles per attempt
+    retryMaxSeconds: envNumber('WEBHOOK_RETRY_MAX_SECONDS', 6 * 60 * 60),
+    timeoutSeconds: envNumber('WEBHOOK_TIMEOUT_SECONDS', 10),
+    pollSeconds: envNumber('WEBHOOK_POLL_SECONDS', 15),
+    // upload.chunk_failure_rate_exceeded: at least this share of an upload's chunk attempts failed,
+    // once it has made WEBHOOK_CHUNK_FAILURE_MIN_ATTEMPTS of them (sent once per upload; 0 = off)
+    chunkFailureRate: envNumber('WEBHOOK_CHUNK_FAILURE_RATE', 0.25),
+    chunkFailureMinAttempts: envNumber('WEBHOOK_CHUNK_FAILURE_MIN_ATTEMPTS', 20)
+};
+
+const DISPATCH_BATCH = 20;
+const MAX_ERROR_LENGTH = 1000;
+
+// Signature headers for `body` (a string): also used by the `webhook` processing hook
+const signatureHeaders = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => ({
+    'X-Webhook-Signature': `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+});
+
+const uploadSummary = (upload, event) => ({
+    uploadId: upload.id,
+    ownerId: upload.owner_id,
+    filename: upload.filename,
+    relativePath: upload.relative_path || null,
+    status: EVENTS[event],
+    totalSize: Number(upload.total_size),
+    hash: upload.final_hash || null
+});
+
+// --- dispatcher ---
+
+let dispatching = false;
+let dispatchAgain = false;
+
+const backoffSeconds = (attempts) =>
+    Math.min(config.retryBaseSeconds * 2 ** (attempts - 1), config.retryMaxSeconds);
+
+const send = async (endpoint, delivery) => {
+    const body = delivery.payload;
+    try {
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'resilient-uploader-webhooks',
+                'X-Webhook-Id': delivery.event_id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                ...signatureHeaders(endpoint.secret, body)
+            },
+            body,
+            signal: AbortSignal.timeout(config.timeoutSeconds * 1000)
+        });
+        await response.body?.cancel();
+        return response.ok
+            ? { ok: true, statusCode: response.status }
+            : { ok: false, statusCode: response.status, error: `HTTP ${response.status}` };
+    } catch (err) {
+        return { ok: false, statusCode: null, error: err.name === 'TimeoutError' ? 'Timed out' : (err.cause && err.cause.message) || err.message };
+    }
+};
+
+// One attempt at a claimed delivery, and its outcome recorded
+const attempt = async (delivery) => {
+    const endpoint = config.endpoints.find(e => e.name === delivery.endpoint);
+    const outcome = endpoint
+        ? await send(endpoint, delivery)
+        : { ok: false, statusCode: null, error: 'Endpoint is no longer configured', final: true };
+    const attempts = delivery.attempts + 1;
+
+    if (outcome.ok) {
+        metrics.webhookAttempts.inc({ event: delivery.event, outcome: 'delivered' });
+        await db.query(
+            'UPDATE webhook_deliveries SET status = "DELIVERED", attempts = ?, last_status_code = ?, last_error = NULL, delivered_at = NOW() WHERE id = ?',
+            [attempts, outcome.statusCode, delivery.id]
+        );
+        return;
+    }
+
+    const error = String(outcome.error).slice(0, MAX_ERROR_LENGTH);
+    if (outcome.final || attempts >= config.maxAttempts) {
+        metrics.webhookAttempts.inc({ event: delivery.event, outcome: 'failed' });
+        log.warn('Webhook delivery failed for good', {
+            uploadId: delivery.upload_id, deliveryId: delivery.id, event: delivery.event, endpoint: delivery.endpoint, attempts, error
+        });
+        await db.query(
+            'UPDATE webhook_deliveries SET status = "FAILED", attempts = ?, last_status_code = ?, last_error = ? WHERE id = ?',
+            [attempts, outcome.statusCode, error, delivery.id]
+        );
+        return;
+    }
+    metrics.webhookAttempts.inc({ event: delivery.event, outcome: 'retry' });
+    await db.query(
+        'UPDATE webhook_deliveries SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = NOW() + INTERVAL ? SECOND WHERE id = ?',
+        [attempts, outcome.statusCode, error, backoffSeconds(attempts), delivery.id]
+    );
+};
+
+// Send every due delivery. A delivery is claimed by pushing its next_attempt_at past the request
+// timeout: other instances skip it, and if this one dies mid-send it simply becomes due again.
+const dispatch = async () => {
+    if (dispatching) {
+        dispatchAgain = true;
+        return;
+    }
+    dispatching = true;
+    try {
+        do {
+            dispatchAgain = false;
+            const [due] = await db.query(
+                'SELECT * FROM webhook_deliveries WHERE status = "PENDING" AND next_attempt_at <= NOW() ORDER BY next_attempt_at LIMIT ?',
+                [DISPATCH_BATCH]
+            );
+            for (const delivery of due) {
+                const [claimed] = await db.query(
+                    'UPDATE webhook_deliveries SET next_attempt_at = NOW() + INTERVAL ? SECOND WHERE id = ? AND status = "PENDING" AND next_attempt_at <= NOW()',
+                    [config.timeoutSeconds * 2 + 60, delivery.id]
+                );
+                if (claimed.affectedRows === 1) await attempt(delivery);
+            }
+            if (due.length === DISPATCH_BATCH) dispatchAgain = true;
+        } while (dispatchAgain);
+    } catch (err) {
+        log.error('Webhook dispatch failed', { err });
+    } finally {
+        dispatching = false;
+    }
+};
+
+// Outside the emitting request's log context: deliveries are not part of that request
+const kick = () => setImmediate(() => log.runWithContext({}, dispatch));
+
+// --- events ---
+
+const insertDeliveries = async (eventId, event, uploadId, payload, endpoints, redeliveryOf = null) => {
+    const ids = [];
+    for (const endpoint of endpoints) {
+        const id = crypto.randomUUID();
+        await db.query(
+            `INSERT INTO webhook_deliveries (id, event_id, event, upload_id, endpoint, url, payload, redelivery_of, next_attempt_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [id, eventId, event, uploadId, endpoint.name, endpoint.url, payload, redeliveryOf]
+        );
+        ids.push(id);
+    }
+    return ids;
+};
+
+// Record `event` about `upload` (an uploads row) for every subscribed endpoint; `data` is merged
+// into the payload's data. Never throws: lifecycle events must not fail the request that caused them.
+const emit = async (event, upload, data = {}) => {
+    const endpoints = config.endpoints.filter(e => e.events.includes(event));
+    if (endpoints.length === 0) return;
+
+    try {
+        const eventId = crypto.randomUUID();
+        const payload = JSON.stringify({
+            id: eventId,
+            event,
+            createdAt: new Date().toISOString(),
+            data: { upload: uploadSummary(upload, event), ...data }
+        });
+        await insertDeliveries(eventId, event, upload.id, payload, endpoints);
+        kick();
+    } catch (err) {
+        log.error('Webhook event not recorded', { uploadId: upload.id, event, err });
+    }
+};
+
+// A chunk attempt of `upload` failed (checksum mismatch, short body, write error, client abort).
+// Emits upload.chunk_failure_rate_exceeded the first time the upload's failure share crosses the
+// threshold; the flag is set in the same statement, so only one request (on any instance) emits it.
+const chunkFailed = async (upload) => {
+    try {
+        await db.query('UPDATE uploads SET chunk_failures = chunk_failures + 1 WHERE id = ?', [upload.id]);
+        if (!config.chunkFailureRate) return;
+
+        const [flagged] = await db.query(
+            `UPDATE uploads SET chunk_failure_alerted = TRUE
+             WHERE id = ? AND chunk_failure_alerted = FALSE AND chunk_attempts >= ? AND chunk_failures >= chunk_attempts * ?`,
+            [upload.id, config.chunkFailureMinAttempts, config.chunkFailureRate]
+        );
+        if (flagged.affectedRows !== 1) return;
+
+        const [rows] = await db.query('SELECT chunk_attempts, chunk_failures FROM uploads WHERE id = ?', [upload.id]);
+        if (rows.length === 0) return;
+        const { chunk_attempts: attempts, chunk_failures: failures } = rows[0];
+        await emit('upload.chunk_failure_rate_exceeded', upload, {
+            chunkAttempts: attempts,
+            chunkFailures: failures,
+            failureRate: Math.round((failures / attempts) * 1000) / 1000,
+            threshold: config.chunkFailureRate
+        });
+    } catch (err) {
+        log.error('Chunk failure count not recorded', { uploadId: upload.id, err });
+    }
+};
+
+// --- delivery log ---
+
+const toDelivery = (row, { withPayload = false } = {}) => ({
+    deliveryId: row.id,
+    eventId: row.event_id,
+    event: row.event,
+    uploadId: row.upload_id,
+    endpoint: row.endpoint,
+    url: row.url,
+    status: row.status,
+    attempts: row.attempts,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    nextAttemptAt: row.status === 'PENDING' ? row.next_attempt_at : null,
+    redeliveryOf: row.redelivery_of,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    ...(withPayload ? { payload: JSON.parse(row.payload) } : {})
+});
+
+// Newest first. Filters: status, event, uploadId, endpoint.
+const listDeliveries = async ({ status, event, uploadId, endpoint, limit = 50 } = {}) => {
+    const where = [];
+    const params = [];
+    if (status) {
+        where.push('status = ?');
+        params.push(status);
+    }
+    if (event) {
+        where.push('event = ?');
+        params.push(event);
+    }
+    if (uploadId) {
+        where.push('upload_id = ?');
+        params.push(uploadId);
+    }
+    if (endpoint) {
+        where.push('endpoint = ?');
+        params.push(endpoint);
+    }
+    const [rows] = await db.query(
+        `SELECT * FROM webhook_deliveries ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...params, limit]
+    );
+    return rows.map(row => toDelivery(row));
+};
+
+const getDelivery = async (deliveryId) => {
+    const [rows] = await db.query('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+    return rows.length > 0 ? toDelivery(rows[0], { withPayload: true }) : null;
+};
+
+// Send a recorded event again, as a new delivery to the same (still configured) endpoint with the
+// same payload and event id. Works for any delivery, e.g. after a receiver outage outlasted the retries.
+const redeliver = async (deliveryId) => {
+    const [rows] = await db.query('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+    if (rows.length === 0) return null;
+    const original = rows[0];
+
+    const endpoint = config.endpoints.find(e => e.name === original.endpoint);
+    if (!endpoint) {
+        throw Object.assign(new Error(`Endpoint "${original.endpoint}" is no longer configured`), { status: 409, code: 'ENDPOINT_NOT_CONFIGURED' });
+    }
+
+    const [id] = await insertDeliveries(original.event_id, original.event, original.upload_id, original.payload, [endpoint], original.id);
+    kick();
+    return getDelivery(id);
+};
+
+// Public view of the configuration (secrets left out)
+const describeConfig = () => ({
+    ...config,
+    endpoints: config.endpoints.map(({ secret, ...endpoint }) => endpoint)
+});
+
+// Poll for due retries; the first poll also picks up deliveries left by a previous process
+const start = () => {
+    if (config.endpoints.length === 0) return;
+    setInterval(() => log.runWithContext({}, dispatch), config.pollSeconds * 1000).unref();
+    kick();
+    log.info('Webhooks enabled', { endpoints: config.endpoints.map(e => e.name), pollSeconds: config.pollSeconds });
+};
+
+module.exports = {
+    EVENTS,
+    DELIVERY_STATUSES,
+    config,
+    describeConfig,
+    signatureHeaders,
+    emit,
+    chunkFailed,
+    listDeliveries,
+    getDelivery,
+    redeliver,
+    start
+};
@@ -0,0 +1,30 @@
+const { PassThrough } = require('stream');
+const yauzl = require('yauzl');
+const storage = require('./storage');
+
+// Open a stored file as a ZIP through the storage driver (works for local files and S3 objects alike).
+// yauzl only needs random-access range reads, which every driver provides.
+const openZip = async (storageKey, options = { lazyEntries: true }) => {
+    const info = await storage.stat(storageKey);
+    if (!info) throw new Error('Stored file not found');
+
+    const reader = new yauzl.RandomAccessReader();
+    // yauzl ranges are end-exclusive, driver ranges are end-inclusive
+    reader._readStreamForRange = (start, end) => {
+        if (end <= start) {
+            const empty = new PassThrough();
+            empty.end();
+            return empty;
+        }
+        return storage.createReadStream(storageKey, { start, end: end - 1 });
+    };
+
+    return new Promise((resolve, reject) => {
+        yauzl.fromRandomAccessReader(reader, info.size, options, (err, zipfile) => {
+            if (err) return reject(err);
+            resolve(zipfile);
+        });
+    });
+};
+
+module.exports = { openZip };
@@ -0,0 +1,159 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// In-memory stand-in for the slice of the S3 API the s3 storage driver uses (path-style
+// requests): multipart create / upload part / list parts / complete / abort, and HEAD, GET
+// (with Range), DELETE and ListObjectsV2 on objects. Signatures are not checked. Parts
+// sent with `Content-Encoding: aws-chunked` (the SDK's default for streamed bodies) are
+// decoded; their checksum trailers are ignored.
+
+const xml = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${body}`);
+};
+
+const s3Error = (res, status, code) => xml(res, status, `<Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+
+const etagOf = (buffer) => `"${crypto.createHash('md5').update(buffer).digest('hex')}"`;
+
+// "<hex size>[;extensions]\r\n<data>\r\n" ... "0\r\n<trailers>\r\n\r\n"
+const decodeAwsChunked = (raw) => {
+    const parts = [];
+    let pos = 0;
+    for (;;) {
+        const lineEnd = raw.indexOf('\r\n', pos);
+        const size = parseInt(raw.subarray(pos, lineEnd).toString().split(';')[0], 16);
+        if (!size) return Buffer.concat(parts);
+        parts.push(raw.subarray(lineEnd + 2, lineEnd + 2 + size));
+        pos = lineEnd + 2 + size + 2;
+    }
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        resolve(/aws-chunked/.test(req.headers['content-encoding'] || '') ? decodeAwsChunked(raw) : raw);
+    });
+    req.on('error', reject);
+});
+
+const startFakeS3 = (bucket) => {
+    const objects = new Map(); // key -> { body, modifiedAt }
+    const uploads = new Map(); // uploadId -> { key, parts: Map(partNumber -> { body, etag }) }
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://fake-s3');
+        const [, bucketName, ...rest] = url.pathname.split('/');
+        const key = decodeURIComponent(rest.join('/'));
+        const query = url.searchParams;
+        if (bucketName !== bucket) return s3Error(res, 404, 'NoSuchBucket');
+
+        // ListObjectsV2 (single page)
+        if (!key) {
+            const prefix = query.get('prefix') || '';
+            const contents = [...objects.entries()]
+                .filter(([k]) => k.startsWith(prefix))
+                .map(([k, o]) => `<Contents><Key>${k}</Key><Size>${o.body.length}</Size><LastModified>${o.modifiedAt.toISOString()}</LastModified></Contents>`);
+            return xml(res, 200, `<ListBucketResult><Name>${bucket}</Name><Prefix>${prefix}</Prefix><KeyCount>${contents.length}</KeyCount><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+        }
+
+        const body = await readBody(req);
+
+        if (query.has('uploads') && req.method === 'POST') {
+            const uploadId = crypto.randomUUID();
+            uploads.set(uploadId, { key, parts: new Map() });
+            return xml(res, 200, `<InitiateMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${key}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+        }
+
+        if (query.has('uploadId')) {
+            const upload = uploads.get(query.get('uploadId'));
+            if (!upload || upload.key !== key) return s3Error(res, 404, 'NoSuchUpload');
+
+            if (req.method === 'PUT') {
+                const etag = etagOf(body);
+                upload.parts.set(Number(query.get('partNumber')), { body, etag });
+                res.writeHead(200, { ETag: etag });
+                return res.end();
+            }
+            if (req.method === 'GET') {
+                const parts = [...upload.parts.entries()].sort((a, b) => a[0] - b[0])
+                    .map(([n, p]) => `<Part><PartNumber>${n}</PartNumber><ETag>${p.etag}</ETag><Size>${p.body.length}</Size></Part>`);
+                return xml(res, 200, `<ListPartsResult><Bucket>${bucket}</Bucket><Key>${key}</Key><UploadId>${query.get('uploadId')}</UploadId>${parts.join('')}</ListPartsResult>`);
+            }
+            if (req.method === 'DELETE') {
+                uploads.delete(query.get('uploadId'));
+                res.writeHead(204);
+                return res.end();
+            }
+            if (req.method === 'POST') {
+                const requested = [...body.toString().matchAll(/<Part>([\s\S]*?)<\/Part>/g)].map(([, part]) => ({
+                    number: Number(/<PartNumber>(\d+)<\/PartNumber>/.exec(part)[1]),
+                    etag: /<ETag>([^<]+)<\/ETag>/.exec(part)[1].replace(/&quot;/g, '"')
+                }));
+                const buffers = [];
+                for (const { number, etag } of requested) {
+                    const part = upload.parts.get(number);
+                    if (!part || part.etag !== etag) return s3Error(res, 400, 'InvalidPart');
+                    buffers.push(part.body);
+                }
+                const assembled = Buffer.concat(buffers);
+                objects.set(key, { body: assembled, modifiedAt: new Date() });
+                uploads.delete(query.get('uploadId'));
+                return xml(res, 200, `<CompleteMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${key}</Key><ETag>${etagOf(assembled)}</ETag></CompleteMultipartUploadResult>`);
+            }
+        }
+
+        const object = objects.get(key);
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            res.writeHead(204);
+            return res.end();
+        }
+        if (!object) {
+            if (req.method === 'HEAD') {
+                res.writeHead(404);
+                return res.end();
+            }
+            return s3Error(res, 404, 'NoSuchKey');
+        }
+        if (req.method === 'HEAD') {
+            res.writeHead(200, { 'Content-Length': object.body.length, 'Last-Modified': object.modifiedAt.toUTCString() });
+            return res.end();
+        }
+        if (req.method === 'GET') {
+            const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+            if (!range) {
+                res.writeHead(200, { 'Content-Length': object.body.length });
+                return res.end(object.body);
+            }
+            const start = range[1] ? Number(range[1]) : 0;
+            const end = range[2] ? Math.min(Number(range[2]), object.body.length - 1) : object.body.length - 1;
+            res.writeHead(206, {
+                'Content-Length': end - start + 1,
+                'Content-Range': `bytes ${start}-${end}/${object.body.length}`
+            });
+            return res.end(object.body.subarray(start, end + 1));
+        }
+        s3Error(res, 405, 'MethodNotAllowed');
+    };
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch((err) => {
+            res.writeHead(500);
+            res.end(err.message);
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            endpoint: `http://127.0.0.1:${server.address().port}`,
+            objects,
+            uploads,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+};
+
+module.exports = { startFakeS3 };
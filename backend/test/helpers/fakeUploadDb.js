@@ -0,0 +1,89 @@
+// In-memory `uploads` and `chunks` tables answering the statements the tus endpoint sends on its
+// way from creation to an unfinished upload (creation, HEAD, PATCH, termination), matched by their
+// text with parameters in the same order. There are no blobs and no hook results. Also stands in
+// for pool connections: transactions and named locks always succeed.
+
+const createFakeUploadDb = () => {
+    const uploads = new Map(); // id -> row
+    const chunks = []; // rows
+
+    const ok = (affectedRows) => [{ affectedRows }];
+    const sql = (statement) => statement.replace(/\s+/g, ' ').trim();
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    const query = async (statement, params = []) => {
+        const text = sql(statement);
+
+        if (/GET_LOCK|RELEASE_LOCK/.test(text)) return [[{ locked: 1 }]];
+
+        if (text.startsWith('INSERT INTO uploads (id, owner_id, filename, total_size, total_chunks, metadata, expires_at, status)')) {
+            const [id, ownerId, filename, totalSize, metadata, hours] = params;
+            uploads.set(id, {
+                id, owner_id: ownerId, filename, relative_path: null, total_size: totalSize, total_chunks: 0, metadata,
+                expires_at: hoursFromNow(hours), status: 'UPLOADING', storage_upload_id: null, final_hash: null,
+                chunk_attempts: 0, chunk_failures: 0, chunk_failure_alerted: false, created_at: new Date()
+            });
+            return ok(1);
+        }
+
+        if (/^SELECT (\*|owner_id) FROM uploads WHERE id = \?( FOR UPDATE)?$/.test(text)) {
+            const row = uploads.get(params[0]);
+            return [row ? [{ ...row }] : []];
+        }
+
+        if (text.startsWith('SELECT COUNT(*) AS active FROM uploads WHERE owner_id = ?')) {
+            const active = [...uploads.values()].filter(u => u.owner_id === params[0] && ['UPLOADING', 'PROCESSING'].includes(u.status));
+            return [[{ active: active.length }]];
+        }
+
+        if (text.startsWith('SELECT COALESCE(SUM(byte_length), 0) AS bytes, COUNT(*) AS count FROM chunks')) {
+            const acked = chunks.filter(c => c.upload_id === params[0] && c.status === 'UPLOADED');
+            return [[{ bytes: acked.reduce((sum, c) => sum + c.byte_length, 0), count: acked.length }]];
+        }
+
+        if (text.startsWith('INSERT INTO chunks (upload_id, chunk_index, byte_offset, byte_length, checksum, etag, status)')) {
+            const [uploadId, index, offset, length, checksum, etag] = params;
+            chunks.push({ upload_id: uploadId, chunk_index: index, byte_offset: offset, byte_length: length, checksum, etag, status: 'UPLOADED' });
+            return ok(1);
+        }
+
+        const counter = /^UPDATE uploads SET (chunk_attempts|chunk_failures) = \1 \+ 1 WHERE id = \?$/.exec(text);
+        if (counter) {
+            uploads.get(params[0])[counter[1]] += 1;
+            return ok(1);
+        }
+
+        // The chunk failure alert: never reached with the few attempts of a test
+        if (text.startsWith('UPDATE uploads SET chunk_failure_alerted = TRUE')) return ok(0);
+
+        if (text === 'UPDATE uploads SET expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR) WHERE id = ?') {
+            uploads.get(params[1]).expires_at = hoursFromNow(params[0]);
+            return ok(1);
+        }
+
+        if (text.startsWith('SELECT * FROM hook_results WHERE upload_id = ?')) return [[]];
+        if (text.startsWith('SELECT 1 FROM blobs WHERE storage_key = ?')) return [[]];
+
+        if (text === 'DELETE FROM uploads WHERE id = ?') {
+            const deleted = uploads.delete(params[0]);
+            for (let i = chunks.length - 1; i >= 0; i--) {
+                if (chunks[i].upload_id === params[0]) chunks.splice(i, 1); // ON DELETE CASCADE
+            }
+            return ok(deleted ? 1 : 0);
+        }
+
+        throw new Error(`fakeUploadDb: unexpected statement: ${text}`);
+    };
+
+    const getConnection = async () => ({
+        query,
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {}
+    });
+
+    return { query, getConnection, uploads, chunks };
+};
+
+module.exports = { createFakeUploadDb };
@@ -0,0 +1,84 @@
+// In-memory `webhook_deliveries` table answering the statements services/webhooks.js sends
+// (matched by their text, parameters in the same order). NOW() is the real clock, so tests can
+// move a delivery's next_attempt_at to make it due.
+
+const createFakeWebhookDb = () => {
+    const deliveries = new Map(); // id -> row
+    let sequence = 0;
+
+    const now = () => new Date();
+    const later = (seconds) => new Date(Date.now() + seconds * 1000);
+    const ok = (affectedRows) => [{ affectedRows }];
+    const sql = (statement) => statement.replace(/\s+/g, ' ').trim();
+
+    const query = async (statement, params = []) => {
+        const text = sql(statement);
+
+        if (text.startsWith('INSERT INTO webhook_deliveries')) {
+            const [id, eventId, event, uploadId, endpoint, url, payload, redeliveryOf] = params;
+            deliveries.set(id, {
+                id, event_id: eventId, event, upload_id: uploadId, endpoint, url, payload,
+                status: 'PENDING', attempts: 0, last_status_code: null, last_error: null,
+                redelivery_of: redeliveryOf, next_attempt_at: now(),
+                created_at: new Date(Date.now() + sequence++), delivered_at: null
+            });
+            return ok(1);
+        }
+
+        if (text.startsWith('SELECT * FROM webhook_deliveries WHERE status = "PENDING" AND next_attempt_at <= NOW()')) {
+            const due = [...deliveries.values()]
+                .filter(d => d.status === 'PENDING' && d.next_attempt_at <= now())
+                .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+                .slice(0, params[0]);
+            return [due.map(d => ({ ...d }))];
+        }
+
+        if (text.startsWith('UPDATE webhook_deliveries SET next_attempt_at =')) {
+            const [seconds, id] = params;
+            const row = deliveries.get(id);
+            if (!row || row.status !== 'PENDING' || row.next_attempt_at > now()) return ok(0);
+            row.next_attempt_at = later(seconds);
+            return ok(1);
+        }
+
+        if (text.startsWith('UPDATE webhook_deliveries SET status = "DELIVERED"')) {
+            const [attempts, statusCode, id] = params;
+            Object.assign(deliveries.get(id), { status: 'DELIVERED', attempts, last_status_code: statusCode, last_error: null, delivered_at: now() });
+            return ok(1);
+        }
+
+        if (text.startsWith('UPDATE webhook_deliveries SET status = "FAILED"')) {
+            const [attempts, statusCode, error, id] = params;
+            Object.assign(deliveries.get(id), { status: 'FAILED', attempts, last_status_code: statusCode, last_error: error });
+            return ok(1);
+        }
+
+        if (text.startsWith('UPDATE webhook_deliveries SET attempts =')) {
+            const [attempts, statusCode, error, seconds, id] = params;
+            Object.assign(deliveries.get(id), { attempts, last_status_code: statusCode, last_error: error, next_attempt_at: later(seconds) });
+            return ok(1);
+        }
+
+        if (text === 'SELECT * FROM webhook_deliveries WHERE id = ?') {
+            const row = deliveries.get(params[0]);
+            return [row ? [{ ...row }] : []];
+        }
+
+        // Delivery log: optional "column = ?" filters, newest first, then LIMIT
+        if (text.startsWith('SELECT * FROM webhook_deliveries')) {
+            const columns = [...text.matchAll(/(\w+) = \?/g)].map(([, column]) => column);
+            const limit = params[params.length - 1];
+            const rows = [...deliveries.values()]
+                .filter(d => columns.every((column, i) => d[column] === params[i]))
+                .sort((a, b) => b.created_at - a.created_at)
+                .slice(0, limit);
+            return [rows.map(d => ({ ...d }))];
+        }
+
+        throw new Error(`fakeWebhookDb: unexpected statement: ${text}`);
+    };
+
+    return { query, deliveries };
+};
+
+module.exports = { createFakeWebhookDb };
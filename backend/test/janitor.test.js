@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+
+process.env.LOG_LEVEL = 'error';
+const janitor = require('../src/services/janitor');
+
+describe('janitor', () => {
+    it('can run again after failing to get a database connection', async () => {
+        db.getConnection = async () => {
+            throw new Error('connect ECONNREFUSED');
+        };
+        await assert.rejects(janitor.run(), /ECONNREFUSED/);
+
+        // Next time the lock is held elsewhere: the run gets as far as asking for it
+        const released = [];
+        db.getConnection = async () => ({
+            query: async (sql) => (/GET_LOCK/.test(sql) ? [[{ locked: 0 }]] : [[{}]]),
+            release: () => released.push(true)
+        });
+        await assert.rejects(janitor.run(), { status: 409, message: /on another instance/ });
+        assert.equal(released.length, 1);
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { startFakeS3 } = require('./helpers/fakeS3');
+
+// Multipart lifecycle of the s3 storage driver. Runs against a real S3-compatible server when
+// S3_ENDPOINT is set (e.g. the compose MinIO, see "Storage Backends" in the README), otherwise
+// against the in-memory stand-in in helpers/fakeS3.js.
+
+const PART_SIZE = 5 * 1024 * 1024; // S3's minimum for every part but the last
+
+let fake = null;
+let driver;
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+const writePart = (key, storageUploadId, index, body) =>
+    driver.writeChunk(key, { index, offset: index * PART_SIZE, stream: Readable.from([body]), length: body.length, storageUploadId });
+
+describe('s3 storage driver', () => {
+    before(async () => {
+        if (!process.env.S3_ENDPOINT) {
+            fake = await startFakeS3('uploads');
+            Object.assign(process.env, {
+                S3_ENDPOINT: fake.endpoint,
+                S3_BUCKET: 'uploads',
+                S3_ACCESS_KEY_ID: 'test',
+                S3_SECRET_ACCESS_KEY: 'test',
+                S3_FORCE_PATH_STYLE: 'true'
+            });
+        }
+        // Keys of this run stay apart from anything else in a shared bucket
+        process.env.S3_PREFIX = `test-${crypto.randomUUID()}/`;
+        driver = require('../src/services/storage/s3Driver');
+    });
+
+    after(async () => {
+        if (fake) await fake.close();
+    });
+
+    it('creates, uploads, completes and reads back a multipart upload', async () => {
+        const key = crypto.randomUUID();
+        const first = crypto.randomBytes(PART_SIZE);
+        const last = crypto.randomBytes(1234);
+
+        const { storageUploadId } = await driver.init(key);
+        assert.ok(storageUploadId);
+        assert.equal(await driver.isResumable(key, { storageUploadId }), true);
+
+        // Parts arrive in any order; assemble orders them by index
+        const lastPart = await writePart(key, storageUploadId, 1, last);
+        const firstPart = await writePart(key, storageUploadId, 0, first);
+        assert.ok(firstPart.etag && lastPart.etag);
+
+        await driver.assemble(key, { storageUploadId, parts: [{ index: 0, etag: firstPart.etag }, { index: 1, etag: lastPart.etag }] });
+
+        const stat = await driver.stat(key);
+        assert.equal(stat.size, PART_SIZE + last.length);
+        assert.equal(await driver.isResumable(key, { storageUploadId }), false);
+
+        const whole = await readAll(driver.createReadStream(key));
+        assert.ok(whole.equals(Buffer.concat([first, last])));
+
+        const range = await readAll(driver.createReadStream(key, { start: PART_SIZE - 10, end: PART_SIZE + 9 }));
+        assert.ok(range.equals(Buffer.concat([first, last]).subarray(PART_SIZE - 10, PART_SIZE + 10)));
+
+        const listed = [];
+        for await (const object of driver.list()) listed.push(object);
+        assert.deepEqual(listed.map(o => [o.key, o.size]), [[key, PART_SIZE + last.length]]);
+
+        // A retried finalize finds the multipart upload already completed
+        await driver.assemble(key, { storageUploadId, parts: [{ index: 0, etag: firstPart.etag }, { index: 1, etag: lastPart.etag }] });
+
+        await driver.delete(key);
+        assert.equal(await driver.stat(key), null);
+    });
+
+    it('aborts an unfinished multipart upload on delete', async () => {
+        const key = crypto.randomUUID();
+        const { storageUploadId } = await driver.init(key);
+        await writePart(key, storageUploadId, 0, crypto.randomBytes(1024));
+
+        await driver.delete(key, { storageUploadId });
+
+        assert.equal(await driver.isResumable(key, { storageUploadId }), false);
+        assert.equal(await driver.stat(key), null);
+        if (fake) assert.equal(fake.uploads.size, 0);
+
+        // Deleting again (e.g. cancel after the janitor) is not an error
+        await driver.delete(key, { storageUploadId });
+    });
+
+    it('reports missing objects and unknown multipart uploads', async () => {
+        const key = crypto.randomUUID();
+        assert.equal(await driver.stat(key), null);
+        assert.equal(await driver.isResumable(key, {}), false);
+        assert.equal(await driver.isResumable(key, { storageUploadId: 'no-such-upload' }), false);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const tar = require('tar-stream');
+const storage = require('../src/services/storage');
+const tarLister = require('../src/services/archives/tarLister');
+
+// TAR / TAR.GZ listing limits, on archives written through the local storage driver
+
+const keys = [];
+
+const tarOf = (files) => new Promise((resolve, reject) => {
+    const pack = tar.pack();
+    const chunks = [];
+    pack.on('data', chunk => chunks.push(chunk));
+    pack.on('end', () => resolve(Buffer.concat(chunks)));
+    pack.on('error', reject);
+    for (const [name, body] of files) pack.entry({ name }, body);
+    pack.finalize();
+});
+
+const store = async (buffer) => {
+    const key = `test-${crypto.randomUUID()}`;
+    keys.push(key);
+    await fs.outputFile(storage.getFilePath(key), buffer);
+    return key;
+};
+
+const MB = 1024 * 1024;
+
+describe('tar lister', () => {
+    after(() => Promise.all(keys.map(key => fs.remove(storage.getFilePath(key)))));
+
+    it('stops a .tar.gz that inflates past maxUncompressedBytes', async () => {
+        // ~4MB of zeros compress to a few KB
+        const key = await store(zlib.gzipSync(await tarOf([['zeros.bin', Buffer.alloc(4 * MB)]])));
+        const listed = await tarLister.list(key, { limits: { maxEntries: 10, maxUncompressedBytes: MB }, gzip: true });
+        assert.equal(listed.truncated, true);
+        assert.equal(listed.error, 'uncompressed size limit exceeded');
+        assert.deepEqual(listed.entries.map(e => e.path), ['zeros.bin']);
+    });
+
+    it('lists a .tar.gz within the limits in full', async () => {
+        const key = await store(zlib.gzipSync(await tarOf([['a.txt', 'a'], ['b.txt', 'b']])));
+        const listed = await tarLister.list(key, { limits: { maxEntries: 2, maxUncompressedBytes: MB }, gzip: true });
+        assert.equal(listed.truncated, false);
+        assert.equal(listed.error, null);
+        assert.deepEqual(listed.entries.map(e => [e.path, e.uncompressedSize, e.compressedSize]), [['a.txt', 1, null], ['b.txt', 1, null]]);
+    });
+
+    it('reports truncation only when an entry past maxEntries exists', async () => {
+        const key = await store(await tarOf([['a.txt', 'a'], ['b.txt', 'b'], ['c.txt', 'c']]));
+        const limits = { maxEntries: 3, maxUncompressedBytes: MB };
+        assert.equal((await tarLister.list(key, { limits })).truncated, false);
+
+        const cut = await tarLister.list(key, { limits: { ...limits, maxEntries: 2 } });
+        assert.equal(cut.truncated, true);
+        assert.equal(cut.entries.length, 2);
+    });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const db = require('../src/db');
+const { createFakeUploadDb } = require('./helpers/fakeUploadDb');
+
+// The tus endpoint through the full middleware stack (CORS, auth, rate limits). Discovery needs no
+// database; uploads use the in-memory tables of helpers/fakeUploadDb.js and the local storage driver.
+
+Object.assign(process.env, { API_KEYS: 'alice:alice-key,bob:bob-key', LOG_LEVEL: 'error' });
+const fake = createFakeUploadDb();
+db.query = fake.query;
+db.getConnection = fake.getConnection;
+
+const app = require('../app');
+const storage = require('../src/services/storage');
+
+let server;
+let baseUrl;
+
+describe('tus discovery', () => {
+    before(async () => {
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('answers OPTIONS /api/tus with the tus headers', async () => {
+        const res = await fetch(`${baseUrl}/api/tus`, { method: 'OPTIONS' });
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('tus-resumable'), '1.0.0');
+        assert.equal(res.headers.get('tus-version'), '1.0.0');
+        assert.equal(res.headers.get('tus-extension'), 'creation,termination,checksum,expiration');
+        assert.equal(res.headers.get('tus-checksum-algorithm'), 'sha1,sha256,md5');
+    });
+
+    it('keeps the CORS headers on a browser preflight to /api/tus', async () => {
+        const res = await fetch(`${baseUrl}/api/tus/`, {
+            method: 'OPTIONS',
+            headers: { Origin: 'http://localhost:5173', 'Access-Control-Request-Method': 'POST' }
+        });
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+        assert.equal(res.headers.get('tus-version'), '1.0.0');
+    });
+
+    it('ends other preflights without tus headers', async () => {
+        const res = await fetch(`${baseUrl}/api/upload/init`, {
+            method: 'OPTIONS',
+            headers: { Origin: 'http://localhost:5173', 'Access-Control-Request-Method': 'POST' }
+        });
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+        assert.equal(res.headers.get('tus-version'), null);
+    });
+});
+
+describe('tus uploads', () => {
+    const created = [];
+
+    const tus = (method, path, { key = 'alice-key', headers = {}, body } = {}) => fetch(`${baseUrl}/api/tus${path}`, {
+        method,
+        headers: { 'Tus-Resumable': '1.0.0', 'X-API-Key': key, ...headers },
+        body
+    });
+
+    const create = async (length, filename = 'notes.txt') => {
+        const res = await tus('POST', '', {
+            headers: { 'Upload-Length': String(length), 'Upload-Metadata': `filename ${Buffer.from(filename).toString('base64')}` }
+        });
+        assert.equal(res.status, 201);
+        const id = res.headers.get('location').split('/').pop();
+        created.push(id);
+        return id;
+    };
+
+    const patch = (id, offset, body, headers = {}) => tus('PATCH', `/${id}`, {
+        headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset), ...headers },
+        body
+    });
+
+    const offsetOf = async (id) => Number((await tus('HEAD', `/${id}`)).headers.get('upload-offset'));
+
+    before(async () => {
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await Promise.all(created.map(id => fs.remove(storage.getFilePath(id))));
+    });
+
+    it('creates an upload from Upload-Length and Upload-Metadata', async () => {
+        const res = await tus('POST', '', {
+            headers: { 'Upload-Length': '10', 'Upload-Metadata': `filename ${Buffer.from('report.pdf').toString('base64')},filetype ` }
+        });
+        assert.equal(res.status, 201);
+        assert.ok(res.headers.get('upload-expires'));
+        const location = new URL(res.headers.get('location'));
+        assert.match(location.pathname, /^\/api\/tus\/[0-9a-f-]{36}$/);
+        const id = location.pathname.split('/').pop();
+        created.push(id);
+
+        const row = fake.uploads.get(id);
+        assert.equal(row.owner_id, 'alice');
+        assert.equal(row.filename, 'report.pdf');
+        assert.equal(row.total_size, 10);
+        assert.ok(await fs.pathExists(storage.getFilePath(id)));
+
+        assert.equal((await tus('POST', '', { headers: { 'Upload-Length': 'ten' } })).status, 400);
+        assert.equal((await tus('POST', '', { headers: { 'Upload-Length': '10', 'Upload-Defer-Length': '1' } })).status, 400);
+        const unversioned = await fetch(`${baseUrl}/api/tus`, { method: 'POST', headers: { 'X-API-Key': 'alice-key', 'Upload-Length': '10' } });
+        assert.equal(unversioned.status, 412);
+    });
+
+    it('reports the offset on HEAD and advances it with each PATCH', async () => {
+        const id = await create(10);
+
+        const head = await tus('HEAD', `/${id}`);
+        assert.equal(head.status, 200);
+        assert.equal(head.headers.get('upload-offset'), '0');
+        assert.equal(head.headers.get('upload-length'), '10');
+        assert.equal(head.headers.get('cache-control'), 'no-store');
+        assert.equal(head.headers.get('upload-metadata'), `filename ${Buffer.from('notes.txt').toString('base64')}`);
+
+        const res = await patch(id, 0, Buffer.from('hello'));
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('upload-offset'), '5');
+        assert.equal(await offsetOf(id), 5);
+        assert.equal((await fs.readFile(storage.getFilePath(id))).subarray(0, 5).toString(), 'hello');
+        assert.equal(fake.uploads.get(id).chunk_attempts, 1);
+
+        // Someone else's upload does not exist for this client
+        assert.equal((await tus('HEAD', `/${id}`, { key: 'bob-key' })).status, 404);
+    });
+
+    it('refuses a PATCH whose Upload-Offset is not the current offset', async () => {
+        const id = await create(10);
+        assert.equal((await patch(id, 0, Buffer.from('hello'))).status, 204);
+
+        for (const offset of [0, 7]) {
+            const res = await patch(id, offset, Buffer.from('world'));
+            assert.equal(res.status, 409);
+            assert.equal(res.headers.get('upload-offset'), '5');
+        }
+        assert.equal(await offsetOf(id), 5);
+
+        const wrongType = await patch(id, 5, Buffer.from('world'), { 'Content-Type': 'application/octet-stream' });
+        assert.equal(wrongType.status, 415);
+    });
+
+    it('checks Upload-Checksum and counts a mismatch as a failed chunk', async () => {
+        const id = await create(12); // left unfinished: the last PATCH would start finalize
+        const body = Buffer.from('hello');
+        const digest = (algorithm, data) => crypto.createHash(algorithm).update(data).digest('base64');
+
+        const mismatch = await patch(id, 0, body, { 'Upload-Checksum': `sha1 ${digest('sha1', 'other')}` });
+        assert.equal(mismatch.status, 460);
+        assert.equal(await offsetOf(id), 0);
+        // Verified before it is committed: the rejected body never reached the upload's file
+        assert.equal((await fs.readFile(storage.getFilePath(id))).length, 0);
+        assert.deepEqual((await fs.readdir(path.join(storage.UPLOADS_DIR, '.staging'))).filter(name => name.startsWith(id)), []);
+        assert.equal(fake.uploads.get(id).chunk_attempts, 1);
+        assert.equal(fake.uploads.get(id).chunk_failures, 1);
+
+        const unsupported = await patch(id, 0, body, { 'Upload-Checksum': `crc32 ${digest('md5', body)}` });
+        assert.equal(unsupported.status, 400);
+
+        for (const [algorithm, offset, part] of [['sha1', 0, 'hello'], ['sha256', 5, 'wor'], ['md5', 8, 'ld']]) {
+            const res = await patch(id, offset, Buffer.from(part), { 'Upload-Checksum': `${algorithm} ${digest(algorithm, part)}` });
+            assert.equal(res.status, 204, algorithm);
+        }
+        assert.equal(await offsetOf(id), 10);
+        assert.equal(fake.uploads.get(id).chunk_failures, 1);
+    });
+
+    it('terminates an upload, removing its row and its data', async () => {
+        const id = await create(10);
+        assert.equal((await patch(id, 0, Buffer.from('hello'))).status, 204);
+
+        assert.equal((await tus('DELETE', `/${id}`, { key: 'bob-key' })).status, 404);
+
+        const res = await tus('DELETE', `/${id}`);
+        assert.equal(res.status, 204);
+        assert.equal(fake.uploads.has(id), false);
+        assert.equal(fake.chunks.some(c => c.upload_id === id), false);
+        assert.equal(await fs.pathExists(storage.getFilePath(id)), false);
+
+        assert.equal((await tus('DELETE', `/${id}`)).status, 404);
+        assert.equal((await tus('HEAD', `/${id}`)).status, 404);
+    });
+});
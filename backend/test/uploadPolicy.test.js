@@ -0,0 +1,64 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+
+// Policy decisions against canned usage numbers; statements are matched by their text
+
+let uploadPolicy;
+
+// A connection answering the usage queries: `active` unfinished uploads, `used` bytes
+const usageConn = ({ active = 0, used = 0 } = {}) => {
+    const statements = [];
+    return {
+        statements,
+        query: async (sql, params) => {
+            statements.push(sql);
+            if (/GET_LOCK|RELEASE_LOCK/.test(sql)) return [[{ locked: 1 }]];
+            if (/COUNT\(\*\) AS active/.test(sql)) return [[{ active }]];
+            if (/AS reserved/.test(sql)) return [[{ reserved: used, stored: 0 }]];
+            if (/^INSERT/.test(sql)) return [{ affectedRows: 1, params }];
+            throw new Error(`unexpected statement: ${sql}`);
+        },
+        release: () => {}
+    };
+};
+
+describe('upload policy', () => {
+    before(() => {
+        Object.assign(process.env, { MAX_CONCURRENT_UPLOADS: '2', USER_QUOTA_BYTES: '1000', GLOBAL_QUOTA_BYTES: '0' });
+        uploadPolicy = require('../src/services/uploadPolicy');
+    });
+
+    it('admits on the connection that holds the lock', async () => {
+        const conn = usageConn({ active: 1, used: 500 });
+        db.getConnection = async () => conn;
+        db.query = async () => {
+            throw new Error('admission must not need a second pool connection');
+        };
+
+        const [inserted] = await uploadPolicy.admit('alice', { filename: 'a.bin', totalSize: 400 }, (c) => c.query('INSERT INTO uploads', ['a']));
+        assert.equal(inserted.affectedRows, 1);
+        assert.match(conn.statements[0], /GET_LOCK/);
+        assert.match(conn.statements[conn.statements.length - 1], /RELEASE_LOCK/);
+        assert.ok(conn.statements.some(sql => /^INSERT/.test(sql)));
+    });
+
+    it('refuses an admission past the quota or the concurrency cap without creating it', async () => {
+        const create = () => assert.fail('create must not run');
+
+        db.getConnection = async () => usageConn({ used: 700 });
+        await assert.rejects(uploadPolicy.admit('alice', { filename: 'a.bin', totalSize: 400 }, create), { status: 413, code: 'USER_QUOTA_EXCEEDED' });
+
+        db.getConnection = async () => usageConn({ active: 2 });
+        await assert.rejects(uploadPolicy.admit('alice', { filename: 'a.bin', totalSize: 1 }, create), { status: 409, code: 'TOO_MANY_UPLOADS' });
+    });
+
+    it('re-checks a resumed upload without counting its own slot and reservation again', async () => {
+        // alice is at both limits, with this upload among them
+        db.query = usageConn({ active: 2, used: 1000 }).query;
+        await uploadPolicy.recheck({ owner_id: 'alice', filename: 'a.bin', total_size: 400 });
+
+        db.query = usageConn({ active: 2, used: 1001 }).query;
+        await assert.rejects(uploadPolicy.recheck({ owner_id: 'alice', filename: 'a.bin', total_size: 400 }), { code: 'USER_QUOTA_EXCEEDED' });
+    });
+});
@@ -0,0 +1,187 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const db = require('../src/db');
+const { createFakeWebhookDb } = require('./helpers/fakeWebhookDb');
+
+// Webhook deliveries against a local HTTP receiver, with `webhook_deliveries` kept in memory
+// (helpers/fakeWebhookDb.js). The dispatcher polls every 50ms so retries can be made due by hand.
+
+const SECRET = 'receiver-secret-0123456789';
+
+let receiver;
+let requests = []; // { headers, body } in arrival order
+let responses = []; // status codes to answer with, then 200
+let fake;
+let webhooks;
+
+const waitFor = async (check, what) => {
+    const deadline = Date.now() + 5000;
+    for (;;) {
+        const value = check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+const rowsFor = (uploadId) => [...fake.deliveries.values()].filter(d => d.upload_id === uploadId);
+const requestsFor = (uploadId) => requests.filter(r => JSON.parse(r.body).data.upload.uploadId === uploadId);
+
+// Make a scheduled retry due now
+const makeDue = (row) => {
+    row.next_attempt_at = new Date();
+};
+
+const upload = (id) => ({ id, owner_id: 'key:test', filename: 'report.pdf', relative_path: null, total_size: 1024, final_hash: 'abc' });
+
+describe('webhooks', () => {
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+                res.writeHead(responses.length > 0 ? responses.shift() : 200);
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+        Object.assign(process.env, {
+            WEBHOOKS: JSON.stringify([{ name: 'receiver', url: `http://127.0.0.1:${receiver.address().port}/hook`, secret: SECRET }]),
+            WEBHOOK_MAX_ATTEMPTS: '3',
+            WEBHOOK_RETRY_BASE_SECONDS: '30',
+            WEBHOOK_POLL_SECONDS: '0.05',
+            LOG_LEVEL: 'error'
+        });
+        fake = createFakeWebhookDb();
+        db.query = fake.query;
+        webhooks = require('../src/services/webhooks');
+        webhooks.start();
+    });
+
+    after(() => new Promise(resolve => receiver.close(resolve)));
+
+    it('signs each delivery with the endpoint secret', async () => {
+        const uploadId = crypto.randomUUID();
+        await webhooks.emit('upload.completed', upload(uploadId));
+
+        const [request] = await waitFor(() => requestsFor(uploadId).length > 0 && requestsFor(uploadId), 'the delivery');
+        const body = JSON.parse(request.body);
+        assert.equal(body.event, 'upload.completed');
+        assert.equal(body.data.upload.status, 'COMPLETED');
+        assert.equal(request.headers['x-webhook-id'], body.id);
+        assert.equal(request.headers['x-webhook-event'], 'upload.completed');
+
+        const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-webhook-signature']);
+        assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+        const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+        assert.equal(signature, expected);
+        const forged = crypto.createHmac('sha256', 'another-secret-0123456789').update(`${timestamp}.${request.body}`).digest('hex');
+        assert.notEqual(signature, forged);
+
+        const [row] = await waitFor(() => rowsFor(uploadId)[0].status === 'DELIVERED' && rowsFor(uploadId), 'DELIVERED');
+        assert.equal(row.attempts, 1);
+        assert.equal(row.last_status_code, 200);
+    });
+
+    it('keeps a failed delivery pending with exponential backoff until it succeeds', async () => {
+        const uploadId = crypto.randomUUID();
+        responses = [503, 500];
+        await webhooks.emit('upload.failed', upload(uploadId), { reason: 'expired' });
+
+        const [row] = rowsFor(uploadId);
+        await waitFor(() => row.attempts === 1, 'the first attempt');
+        assert.equal(row.status, 'PENDING');
+        assert.equal(row.last_status_code, 503);
+        assert.equal(row.last_error, 'HTTP 503');
+        const firstDelay = (row.next_attempt_at - Date.now()) / 1000;
+        assert.ok(firstDelay > 25 && firstDelay <= 30, `first retry in ${firstDelay}s`);
+
+        makeDue(row);
+        await waitFor(() => row.attempts === 2, 'the second attempt');
+        assert.equal(row.status, 'PENDING');
+        assert.equal(row.last_error, 'HTTP 500');
+        const secondDelay = (row.next_attempt_at - Date.now()) / 1000;
+        assert.ok(secondDelay > 55 && secondDelay <= 60, `second retry in ${secondDelay}s`);
+
+        makeDue(row);
+        await waitFor(() => row.status === 'DELIVERED', 'DELIVERED');
+        assert.equal(row.attempts, 3);
+        assert.equal(row.last_error, null);
+
+        // Every attempt carries the same event id, so receivers can drop duplicates
+        const sent = requestsFor(uploadId);
+        assert.equal(sent.length, 3);
+        assert.equal(new Set(sent.map(r => r.headers['x-webhook-id'])).size, 1);
+    });
+
+    it('fails a delivery for good after WEBHOOK_MAX_ATTEMPTS', async () => {
+        const uploadId = crypto.randomUUID();
+        responses = [500, 500, 500];
+        await webhooks.emit('upload.cancelled', upload(uploadId));
+
+        const [row] = rowsFor(uploadId);
+        for (const attempts of [1, 2]) {
+            await waitFor(() => row.attempts === attempts, `attempt ${attempts}`);
+            makeDue(row);
+        }
+        await waitFor(() => row.status === 'FAILED', 'FAILED');
+        assert.equal(row.attempts, 3);
+        assert.equal(row.last_status_code, 500);
+        assert.equal(requestsFor(uploadId).length, 3);
+    });
+
+    it('lists deliveries and shows one with its payload', async () => {
+        const uploadId = crypto.randomUUID();
+        await webhooks.emit('upload.created', upload(uploadId));
+        await webhooks.emit('upload.completed', upload(uploadId));
+        await waitFor(() => rowsFor(uploadId).every(d => d.status === 'DELIVERED'), 'both deliveries');
+
+        const listed = await webhooks.listDeliveries({ uploadId });
+        assert.deepEqual(listed.map(d => d.event), ['upload.completed', 'upload.created']);
+        assert.ok(listed.every(d => d.status === 'DELIVERED' && d.endpoint === 'receiver' && d.nextAttemptAt === null));
+        assert.equal(listed[0].payload, undefined);
+
+        const filtered = await webhooks.listDeliveries({ uploadId, event: 'upload.created' });
+        assert.deepEqual(filtered.map(d => d.deliveryId), [listed[1].deliveryId]);
+        assert.deepEqual(await webhooks.listDeliveries({ uploadId, status: 'FAILED' }), []);
+
+        const shown = await webhooks.getDelivery(listed[0].deliveryId);
+        assert.equal(shown.payload.id, shown.eventId);
+        assert.equal(shown.payload.data.upload.uploadId, uploadId);
+        assert.equal(await webhooks.getDelivery(crypto.randomUUID()), null);
+    });
+
+    it('redelivers an event as a new delivery with the same event id and payload', async () => {
+        const uploadId = crypto.randomUUID();
+        responses = [500, 500, 500];
+        await webhooks.emit('upload.quarantined', upload(uploadId));
+        const [original] = rowsFor(uploadId);
+        for (const attempts of [1, 2]) {
+            await waitFor(() => original.attempts === attempts, `attempt ${attempts}`);
+            makeDue(original);
+        }
+        await waitFor(() => original.status === 'FAILED', 'FAILED');
+
+        const redelivery = await webhooks.redeliver(original.id);
+        assert.notEqual(redelivery.deliveryId, original.id);
+        assert.equal(redelivery.redeliveryOf, original.id);
+        assert.equal(redelivery.eventId, original.event_id);
+        assert.equal(JSON.stringify(redelivery.payload), original.payload);
+
+        const row = fake.deliveries.get(redelivery.deliveryId);
+        await waitFor(() => row.status === 'DELIVERED', 'the redelivery');
+        const sent = requestsFor(uploadId);
+        assert.equal(sent.length, 4);
+        assert.equal(sent[3].body, original.payload);
+        assert.equal(sent[3].headers['x-webhook-id'], original.event_id);
+        assert.equal(sent[3].headers['x-webhook-delivery'], redelivery.deliveryId);
+
+        // The original stays as it was
+        assert.equal(original.status, 'FAILED');
+        assert.equal(await webhooks.redeliver(crypto.randomUUID()), null);
+    });
+});
@@ -1,19 +1,159 @@
+-- id is a random UUID (generated by the backend), so ids can't be guessed or enumerated.
+-- owner_id is the authenticated principal that created the upload; only it (or an admin) can see or touch it.
 CREATE TABLE IF NOT EXISTS uploads (
-    id INT AUTO_INCREMENT PRIMARY KEY,
+    id CHAR(36) PRIMARY KEY,
+    owner_id VARCHAR(64) NOT NULL,
     filename VARCHAR(255) NOT NULL,
+    relative_path VARCHAR(1024),
     total_size BIGINT NOT NULL,
     total_chunks INT NOT NULL,
-    status ENUM('UPLOADING', 'PROCESSING', 'COMPLETED', 'FAILED') DEFAULT 'UPLOADING',
+    chunk_size INT,
+    fingerprint CHAR(64),
+    session_token VARCHAR(64),
+    status ENUM('UPLOADING', 'PROCESSING', 'COMPLETED', 'QUARANTINED', 'FAILED', 'CANCELLED') DEFAULT 'UPLOADING',
     final_hash VARCHAR(64),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    storage_key VARCHAR(64),
+    storage_upload_id VARCHAR(255),
+    metadata TEXT,
+    expires_at DATETIME,
+    -- Chunk API attempts and failed attempts, for the upload.chunk_failure_rate_exceeded webhook (sent once)
+    chunk_attempts INT NOT NULL DEFAULT 0,
+    chunk_failures INT NOT NULL DEFAULT 0,
+    chunk_failure_alerted BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_fingerprint (fingerprint, total_size),
+    INDEX idx_final_hash (final_hash),
+    INDEX idx_status (status),
+    INDEX idx_created_at (created_at),
+    INDEX idx_owner_created (owner_id, created_at)
 );
 
 CREATE TABLE IF NOT EXISTS chunks (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    upload_id INT NOT NULL,
+    upload_id CHAR(36) NOT NULL,
     chunk_index INT NOT NULL,
+    byte_offset BIGINT,
+    byte_length INT,
+    checksum CHAR(64),
+    etag VARCHAR(128),
     status ENUM('PENDING', 'UPLOADED') DEFAULT 'PENDING',
     received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (upload_id) REFERENCES uploads(id) ON DELETE CASCADE,
     UNIQUE KEY unique_chunk (upload_id, chunk_index)
 );
+
+-- One row per distinct stored content; uploads point here via storage_key.
+-- ref_count = number of COMPLETED uploads sharing the blob (dedup).
+CREATE TABLE IF NOT EXISTS blobs (
+    hash CHAR(64) PRIMARY KEY,
+    storage_key VARCHAR(64) NOT NULL,
+    size BIGINT NOT NULL,
+    ref_count INT NOT NULL DEFAULT 0,
+    content_type VARCHAR(127),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_storage_key (storage_key)
+);
+
+-- One row per janitor run (scheduled or manual); report holds the JSON summary
+CREATE TABLE IF NOT EXISTS janitor_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    trigger_source VARCHAR(16) NOT NULL,
+    dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+    status ENUM('RUNNING', 'SUCCEEDED', 'FAILED') NOT NULL DEFAULT 'RUNNING',
+    report MEDIUMTEXT,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL
+);
+
+-- Finalize runs as a background job (hashing, ZIP inspection, blob registration);
+-- clients poll GET /api/jobs/:id or stream GET /api/jobs/:id/events
+CREATE TABLE IF NOT EXISTS finalize_jobs (
+    id CHAR(36) PRIMARY KEY,
+    upload_id CHAR(36) NOT NULL,
+    status ENUM('RUNNING', 'SUCCEEDED', 'FAILED') NOT NULL DEFAULT 'RUNNING',
+    phase VARCHAR(32),
+    processed_bytes BIGINT NOT NULL DEFAULT 0,
+    total_bytes BIGINT NOT NULL DEFAULT 0,
+    result MEDIUMTEXT,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    FOREIGN KEY (upload_id) REFERENCES uploads(id) ON DELETE CASCADE,
+    INDEX idx_upload_status (upload_id, status)
+);
+
+-- Archive listing (ZIP, TAR, TAR.GZ, gzip; nothing extracted), shared by every upload of the same content.
+-- warnings holds the archive-level JSON list; per-entry warning codes are comma-separated.
+CREATE TABLE IF NOT EXISTS archive_inspections (
+    hash CHAR(64) PRIMARY KEY,
+    format VARCHAR(16) NOT NULL,
+    entry_count INT NOT NULL,
+    total_uncompressed BIGINT NOT NULL DEFAULT 0,
+    total_compressed BIGINT NOT NULL DEFAULT 0,
+    truncated BOOLEAN NOT NULL DEFAULT FALSE,
+    warnings TEXT,
+    error VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (hash) REFERENCES blobs(hash) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS archive_entries (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    hash CHAR(64) NOT NULL,
+    path VARCHAR(1024) NOT NULL,
+    is_directory BOOLEAN NOT NULL DEFAULT FALSE,
+    uncompressed_size BIGINT NOT NULL DEFAULT 0,
+    compressed_size BIGINT NULL,
+    crc32 INT UNSIGNED,
+    modified_at DATETIME NULL,
+    compression_method VARCHAR(16),
+    encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+    link_target VARCHAR(1024),
+    warnings VARCHAR(255),
+    FOREIGN KEY (hash) REFERENCES archive_inspections(hash) ON DELETE CASCADE,
+    INDEX idx_hash_path (hash, path(255))
+);
+
+-- Post-upload hook outcomes (virus scan, extraction, webhooks), one row per configured step.
+-- Rewritten on every finalize attempt; detail holds the step's JSON result.
+CREATE TABLE IF NOT EXISTS hook_results (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    upload_id CHAR(36) NOT NULL,
+    step_index INT NOT NULL,
+    name VARCHAR(64) NOT NULL,
+    type VARCHAR(32) NOT NULL,
+    status ENUM('PASSED', 'FAILED', 'SKIPPED') NOT NULL,
+    detail TEXT,
+    duration_ms INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (upload_id) REFERENCES uploads(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_step (upload_id, step_index)
+);
+
+-- Outbound lifecycle webhooks: one row per event and endpoint, retried until DELIVERED or FAILED.
+-- No foreign key on upload_id: the log outlives purged uploads. A redelivery is a new row
+-- (same event_id and payload) pointing at the delivery it repeats.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id CHAR(36) PRIMARY KEY,
+    event_id CHAR(36) NOT NULL,
+    event VARCHAR(64) NOT NULL,
+    upload_id CHAR(36),
+    endpoint VARCHAR(64) NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    payload MEDIUMTEXT NOT NULL,
+    status ENUM('PENDING', 'DELIVERED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL,
+    last_status_code INT NULL,
+    last_error TEXT,
+    redelivery_of CHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP NULL,
+    INDEX idx_due (status, next_attempt_at),
+    INDEX idx_upload (upload_id),
+    INDEX idx_created (created_at)
+);
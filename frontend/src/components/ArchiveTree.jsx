@@ -0,0 +1,126 @@
+import React, { useMemo, useState } from 'react';
+import { Folder, FolderOpen, File, Lock, AlertTriangle, ChevronDown, ChevronRight, Download } from 'lucide-react';
+import { openDownload } from '../utils/auth';
+
+const WARNING_LABELS = {
+    ABSOLUTE_PATH: 'absolute path',
+    PATH_TRAVERSAL: 'path traversal',
+    HIGH_COMPRESSION_RATIO: 'high ratio',
+    NESTED_ARCHIVE: 'nested archive'
+};
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Flat entry list -> nested folders. Directories are implied by file paths too
+// (archives often omit directory entries); a folder is flagged if anything below it is.
+const buildTree = (entries) => {
+    const root = { name: '', path: '', children: new Map(), entry: null, flagged: false };
+    for (const entry of entries) {
+        const parts = entry.path.split('/').filter(Boolean);
+        let node = root;
+        parts.forEach((part, i) => {
+            if (!node.children.has(part)) {
+                node.children.set(part, { name: part, path: parts.slice(0, i + 1).join('/'), children: new Map(), entry: null, flagged: false });
+            }
+            node = node.children.get(part);
+            if (entry.warnings.length > 0) node.flagged = true;
+        });
+        node.entry = entry;
+    }
+    return root;
+};
+
+// Folders first, then files, alphabetically
+const sortedChildren = (node) => [...node.children.values()].sort((a, b) => {
+    const aDir = a.children.size > 0 || (a.entry && a.entry.isDirectory);
+    const bDir = b.children.size > 0 || (b.entry && b.entry.isDirectory);
+    if (aDir !== bDir) return aDir ? -1 : 1;
+    return a.name.localeCompare(b.name);
+});
+
+const WarningBadge = ({ code }) => (
+    <span style={{ fontSize: '11px', color: '#8a6d3b', backgroundColor: '#fcf8e3', border: '1px solid #faebcc', borderRadius: '3px', padding: '0 4px' }}>
+        {WARNING_LABELS[code] || code}
+    </span>
+);
+
+// Browsers resolve ".." in URLs, so traversal entries can't be addressed (they're suspicious anyway)
+const isDownloadable = (entry) => !entry.isDirectory && !entry.encrypted && !entry.linkTarget &&
+    ['stored', 'deflate'].includes(entry.compressionMethod) && !entry.warnings.includes('PATH_TRAVERSAL');
+
+const TreeNode = ({ node, depth, entryUrl }) => {
+    const isDir = node.children.size > 0 || (node.entry && node.entry.isDirectory);
+    const [open, setOpen] = useState(depth === 0 || node.flagged);
+    const { entry } = node;
+
+    // Not every format records everything (TAR has no CRC, .tar.gz no per-entry compressed size)
+    const details = entry && !entry.isDirectory
+        ? [
+            entry.compressionMethod,
+            entry.compressedSize !== null && `${formatSize(entry.compressedSize)} compressed`,
+            entry.crc32 !== null && `CRC32: ${(entry.crc32 >>> 0).toString(16).padStart(8, '0')}`,
+            entry.modifiedAt && `modified ${new Date(entry.modifiedAt).toLocaleString()}`
+        ].filter(Boolean).join(' | ')
+        : undefined;
+
+    return (
+        <div>
+            <div
+                onClick={() => isDir && setOpen(!open)}
+                title={details}
+                style={{ display: 'flex', alignItems: 'center', gap: '4px', paddingLeft: `${depth * 16}px`, cursor: isDir ? 'pointer' : 'default', fontSize: '13px', lineHeight: '20px' }}
+            >
+                {isDir ? (open ? <ChevronDown size={12}/> : <ChevronRight size={12}/>) : <span style={{ width: '12px' }}/>}
+                {isDir ? (open ? <FolderOpen size={14}/> : <Folder size={14}/>) : <File size={14}/>}
+                <span style={{ color: node.flagged ? '#c62828' : 'inherit' }}>{node.name}</span>
+                {entry && entry.linkTarget && <span style={{ color: '#777' }}>&rarr; {entry.linkTarget}</span>}
+                {entry && entry.encrypted && <span title="Encrypted"><Lock size={12}/></span>}
+                {entry && !entry.isDirectory && !entry.linkTarget && <span style={{ color: '#777' }}>{formatSize(entry.uncompressedSize)}</span>}
+                {entry && entry.warnings.map(code => <WarningBadge key={code} code={code}/>)}
+                {entry && entryUrl && isDownloadable(entry) && (
+                    <a href={entryUrl(entry.path)} onClick={(e) => { e.stopPropagation(); e.preventDefault(); openDownload(entryUrl(entry.path)); }} title="Download this file" style={{ color: '#555', display: 'flex' }}>
+                        <Download size={12}/>
+                    </a>
+                )}
+            </div>
+            {isDir && open && sortedChildren(node).map(child => <TreeNode key={child.name} node={child} depth={depth + 1} entryUrl={entryUrl}/>)}
+        </div>
+    );
+};
+
+// Archive contents as a collapsible tree, with the archive-level warnings on top.
+// `entryUrl(path)`, when given, adds a download link to each file that can be extracted on its own.
+export const ArchiveTree = ({ archive, entryUrl }) => {
+    const root = useMemo(() => buildTree(archive.entries), [archive]);
+
+    return (
+        <div>
+            <p style={{ margin: '0 0 5px 0' }}>
+                <strong>{archive.format.toUpperCase()} contents:</strong> {archive.entryCount} entries,
+                {' '}{formatSize(archive.totalUncompressed)} uncompressed ({formatSize(archive.totalCompressed)} compressed)
+            </p>
+
+            {archive.warnings.length > 0 && (
+                <div style={{ padding: '8px', marginBottom: '8px', backgroundColor: '#fcf8e3', border: '1px solid #faebcc', borderRadius: '5px', fontSize: '13px' }}>
+                    {archive.warnings.map((w, i) => (
+                        <div key={i} style={{ color: '#8a6d3b' }}>
+                            <AlertTriangle size={14} style={{verticalAlign: 'middle'}}/> {w.message}{w.count ? ` (${w.count})` : ''}
+                            {w.examples && <div style={{ paddingLeft: '20px', color: '#777' }}>{w.examples.join(', ')}</div>}
+                        </div>
+                    ))}
+                </div>
+            )}
+            {archive.error && (
+                <p style={{ color: '#c62828', fontSize: '13px' }}>Archive structure is damaged: {archive.error}</p>
+            )}
+
+            <div style={{ maxHeight: '300px', overflowY: 'auto', border: '1px solid #ddd', padding: '5px', backgroundColor: '#fff' }}>
+                {sortedChildren(root).map(child => <TreeNode key={child.name} node={child} depth={0} entryUrl={entryUrl}/>)}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { Pause, Play, X, FileUp, Download, ArrowUp, ArrowDown, ChevronsUp, ChevronDown, ChevronRight, CheckCircle, AlertTriangle, ShieldAlert } from 'lucide-react';
+import { ProgressBar } from './ProgressBar';
+import { ChunkGrid } from './ChunkGrid';
+import { ArchiveTree } from './ArchiveTree';
+import { fetchArchiveEntries, archiveEntryUrl, contentUrl } from '../utils/uploadsApi';
+import { openDownload } from '../utils/auth';
+
+const HOOK_STATUS_COLORS = { PASSED: '#155724', FAILED: '#c62828', SKIPPED: '#777' };
+
+// Outcome of each server-side processing hook (scan, extraction, webhook)
+const HookResults = ({ hooks }) => (
+    <ul style={{ margin: '0 0 10px 0', paddingLeft: '20px', fontSize: '13px' }}>
+        {hooks.map(hook => (
+            <li key={hook.step}>
+                {hook.name}: <strong style={{ color: HOOK_STATUS_COLORS[hook.status] }}>{hook.status}</strong>
+                {hook.detail.verdict && hook.detail.verdict !== 'clean' ? ` (${hook.detail.verdict})` : ''}
+                {hook.detail.error ? ` - ${hook.detail.error}` : ''}
+            </li>
+        ))}
+    </ul>
+);
+
+// One row of the upload queue: progress, stats and per-file controls.
+export const UploadItem = ({ item, isFirst, isLast, onPause, onResume, onCancel, onMoveUp, onMoveDown, onPrioritize, onReselect }) => {
+    const [expanded, setExpanded] = useState(false);
+    const { stats, result } = item;
+    const canPause = item.status === 'UPLOADING';
+    const canResume = ['QUEUED', 'PAUSED', 'FAILED'].includes(item.status);
+    const [archive, setArchive] = useState(null);
+    const [archiveError, setArchiveError] = useState(null);
+
+    // Entries are fetched on first expand; the finalize result only carries the summary
+    useEffect(() => {
+        if (!expanded || archive || !result || !result.archive || result.status === 'QUARANTINED') return;
+        fetchArchiveEntries(result.uploadId)
+            .then(data => setArchive(data.archive))
+            .catch(err => setArchiveError(err.response?.data?.error || err.message));
+    }, [expanded, result]);
+
+    return (
+        <div style={{ border: '1px solid #ddd', borderRadius: '6px', padding: '10px', marginBottom: '10px' }}>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <button onClick={() => setExpanded(!expanded)} style={iconBtnStyle} title="Details">
+                    {expanded ? <ChevronDown size={16}/> : <ChevronRight size={16}/>}
+                </button>
+                <span style={{ fontWeight: 'bold', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={item.relativePath}>
+                    {item.relativePath}
+                </span>
+                <span style={{ fontSize: '12px', color: '#777', whiteSpace: 'nowrap' }}>
+                    {(item.size / 1024 / 1024).toFixed(1)} MB
+                </span>
+
+                <div style={{ marginLeft: 'auto', display: 'flex', gap: '4px' }}>
+                    {!item.done && (
+                        <>
+                            <button onClick={onPrioritize} disabled={isFirst} style={iconBtnStyle} title="Move to top"><ChevronsUp size={16}/></button>
+                            <button onClick={onMoveUp} disabled={isFirst} style={iconBtnStyle} title="Move up"><ArrowUp size={16}/></button>
+                            <button onClick={onMoveDown} disabled={isLast} style={iconBtnStyle} title="Move down"><ArrowDown size={16}/></button>
+                        </>
+                    )}
+                    {item.status === 'INTERRUPTED' && (
+                        <label style={iconBtnStyle} title="Re-select this file to resume">
+                            <FileUp size={16}/>&nbsp;Re-select file
+                            <input
+                                type="file"
+                                onChange={(e) => { if (e.target.files[0]) onReselect(e.target.files[0]); e.target.value = ''; }}
+                                style={{ display: 'none' }}
+                            />
+                        </label>
+                    )}
+                    {canPause && <button onClick={onPause} style={iconBtnStyle} title="Pause"><Pause size={16}/></button>}
+                    {canResume && <button onClick={onResume} style={iconBtnStyle} title="Resume"><Play size={16}/></button>}
+                    {!['COMPLETED', 'QUARANTINED', 'PROCESSING'].includes(item.status) && (
+                        <button onClick={onCancel} style={iconBtnStyle} title="Cancel and delete uploaded data"><X size={16}/></button>
+                    )}
+                </div>
+            </div>
+
+            <ProgressBar progress={stats.progress} />
+
+            <div style={{ fontSize: '13px', color: '#555' }}>
+                {item.status} | {stats.speed} MB/s | ETA: {stats.eta}s | Hashed: {Math.floor(stats.hashProgress)}%
+                {stats.chunkSize ? ` | ${(stats.chunkSize / 1024 / 1024).toFixed(1)} MB x ${stats.concurrency}` : ''}
+            </div>
+
+            {item.status === 'PROCESSING' && stats.finalizePhase && (
+                <div style={{ fontSize: '13px', color: '#555', marginTop: '5px' }}>
+                    Finalizing on server: {stats.finalizePhase} ({stats.finalizeProgress}%)
+                    <ProgressBar progress={stats.finalizeProgress} />
+                </div>
+            )}
+
+            {item.error && (
+                <p style={{ color: '#c62828', fontSize: '13px', margin: '5px 0 0 0' }}>
+                    <AlertTriangle size={14} style={{verticalAlign: 'middle'}}/> {item.error}
+                </p>
+            )}
+
+            {expanded && (
+                <>
+                    <h4 style={{ margin: '10px 0 0 0' }}>Chunk Status ({stats.chunks.length})</h4>
+                    <ChunkGrid chunks={stats.chunks} />
+
+                    {result && result.status === 'QUARANTINED' && (
+                        <div style={{ marginTop: '10px', padding: '15px', backgroundColor: '#fdecea', border: '1px solid #f5c6cb', borderRadius: '5px' }}>
+                            <h4 style={{ margin: '0 0 10px 0', color: '#c62828' }}><ShieldAlert size={18} style={{verticalAlign: 'middle'}}/> Quarantined</h4>
+                            <p>The file was received but a processing step failed, so it is held on the server and cannot be downloaded.</p>
+                            <p><strong>Hash:</strong> {result.hash}</p>
+                            {result.hooks && <HookResults hooks={result.hooks} />}
+                        </div>
+                    )}
+
+                    {result && result.status !== 'QUARANTINED' && (
+                        <div style={{ marginTop: '10px', padding: '15px', backgroundColor: '#f0f9eb', border: '1px solid #c3e6cb', borderRadius: '5px' }}>
+                            <h4 style={{ margin: '0 0 10px 0', color: '#155724' }}><CheckCircle size={18} style={{verticalAlign: 'middle'}}/> Success</h4>
+                            <p><strong>Hash:</strong> {result.hash}</p>
+                            <p>
+                                <a href={contentUrl(result.uploadId)} onClick={(e) => { e.preventDefault(); openDownload(contentUrl(result.uploadId)); }} style={{ color: '#155724' }}>
+                                    <Download size={14} style={{verticalAlign: 'middle'}}/> Download
+                                </a>
+                            </p>
+                            {result.hooks && result.hooks.length > 0 && <HookResults hooks={result.hooks} />}
+                            {result.dedup && <p>Identical content was already stored, so no chunks were sent (completed via dedup).</p>}
+                            {!result.archive && <p>Not an archive{result.contentType ? ` (${result.contentType})` : ''}.</p>}
+                            {result.archive && !archive && <p>{archiveError ? `Could not load archive contents: ${archiveError}` : 'Loading archive contents...'}</p>}
+                            {archive && (
+                                <ArchiveTree
+                                    archive={archive}
+                                    entryUrl={archive.format === 'zip' ? (path) => archiveEntryUrl(result.uploadId, path) : null}
+                                />
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+const iconBtnStyle = {
+    padding: '4px 6px',
+    backgroundColor: '#f5f5f5',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center'
+};
@@ -1,104 +1,132 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FileUp, Pause, Play, RefreshCw, CheckCircle, AlertTriangle } from 'lucide-react';
-import { FileUploader } from '../utils/Uploader';
-import { ProgressBar } from './ProgressBar';
-import { ChunkGrid } from './ChunkGrid';
+import { FileUp, FolderUp, Play, XCircle, KeyRound } from 'lucide-react';
+import { UploadManager } from '../utils/UploadManager';
+import { filesFromDataTransfer, filesFromInput } from '../utils/dropFiles';
+import { UploadItem } from './UploadItem';
+import { getApiKey, setApiKey } from '../utils/auth';
 
 export const Uploader = () => {
-    const [file, setFile] = useState(null);
-    const [uploader, setUploader] = useState(null);
-    const [stats, setStats] = useState({
-        progress: 0,
-        chunks: [],
-        status: 'IDLE',
-        speed: 0,
-        eta: 0
-    });
-    const [result, setResult] = useState(null);
-
-    const handleFileChange = (e) => {
-        if (e.target.files && e.target.files[0]) {
-            setFile(e.target.files[0]);
-            setStats({ progress: 0, chunks: [], status: 'IDLE', speed: 0, eta: 0 });
-            setResult(null);
-            setUploader(null);
+    const [items, setItems] = useState([]);
+    const [started, setStarted] = useState(false);
+    const [dragOver, setDragOver] = useState(false);
+    const [apiKey, setApiKeyInput] = useState(getApiKey);
+    const managerRef = useRef(null);
+
+    if (!managerRef.current) {
+        managerRef.current = new UploadManager({ onChange: setItems });
+    }
+    const manager = managerRef.current;
+
+    // Offer uploads interrupted by a refresh or browser restart (stored in IndexedDB)
+    useEffect(() => {
+        manager.restore();
+    }, [manager]);
+
+    // Stop every in-flight upload when the page unmounts
+    useEffect(() => () => {
+        for (const entry of manager.entries) {
+            if (entry.uploader) entry.uploader.pause();
         }
+    }, [manager]);
+
+    const addFiles = (files) => {
+        if (files.length > 0) manager.add(files);
     };
 
-    const startUpload = () => {
-        if (!file) return;
-
-        const instance = new FileUploader(file, {
-            onProgress: (currentStats) => {
-                setStats({ ...currentStats });
-            },
-            onComplete: (data) => {
-                setResult(data);
-                alert('Upload Complete!');
-            },
-            onError: (err) => {
-                alert(`Error: ${err.message}`);
-            }
-        });
-
-        setUploader(instance);
-        instance.start();
+    const handleInputChange = (e) => {
+        addFiles(filesFromInput(e.target.files));
+        e.target.value = ''; // allow picking the same file/folder again
     };
 
-    const togglePause = () => {
-        if (!uploader) return;
-        if (stats.status === 'UPLOADING') {
-            uploader.pause();
-        } else {
-            uploader.resume();
+    const handleDrop = async (e) => {
+        e.preventDefault();
+        setDragOver(false);
+        addFiles(await filesFromDataTransfer(e.dataTransfer));
+    };
+
+    const startAll = () => {
+        manager.start();
+        setStarted(true);
+    };
+
+    const cancelAll = () => {
+        if (window.confirm('Cancel all unfinished uploads? Data already sent will be deleted.')) {
+            manager.cancelAll();
         }
     };
 
+    // Stored in this browser and sent with every API request (X-API-Key)
+    const changeApiKey = (e) => {
+        setApiKeyInput(e.target.value);
+        setApiKey(e.target.value.trim());
+    };
+
+    const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+    const doneCount = items.filter(item => ['COMPLETED', 'QUARANTINED'].includes(item.status)).length;
+    const interruptedCount = items.filter(item => item.status === 'INTERRUPTED').length;
+
     return (
         <div style={{ maxWidth: '800px', margin: '0 auto', padding: '20px', fontFamily: 'Arial, sans-serif' }}>
             <h1>File Uploader</h1>
-            
-            <div style={{ padding: '20px', border: '2px dashed #ccc', borderRadius: '8px', textAlign: 'center', marginBottom: '20px' }}>
-                <input type="file" onChange={handleFileChange} style={{ display: 'none' }} id="file-input" />
-                <label htmlFor="file-input" style={{ cursor: 'pointer', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '10px' }}>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '15px', fontSize: '14px', color: '#555' }}>
+                <KeyRound size={16}/> API key
+                <input type="password" value={apiKey} onChange={changeApiKey} autoComplete="off" style={{ flex: 1, padding: '6px', border: '1px solid #ccc', borderRadius: '4px' }}/>
+            </label>
+
+            <div
+                onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+                onDragLeave={() => setDragOver(false)}
+                onDrop={handleDrop}
+                style={{ padding: '20px', border: `2px dashed ${dragOver ? '#007bff' : '#ccc'}`, borderRadius: '8px', textAlign: 'center', marginBottom: '20px' }}
+            >
+                <input type="file" multiple onChange={handleInputChange} style={{ display: 'none' }} id="file-input" />
+                <input type="file" webkitdirectory="" directory="" onChange={handleInputChange} style={{ display: 'none' }} id="folder-input" />
+                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '10px' }}>
                     <FileUp size={48} color="#666" />
-                    <span>{file ? file.name : "Click to Select File"}</span>
-                </label>
+                    <span>Drop files or folders here</span>
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        <label htmlFor="file-input" style={btnStyle}><FileUp size={16}/> Select Files</label>
+                        <label htmlFor="folder-input" style={btnStyle}><FolderUp size={16}/> Select Folder</label>
+                    </div>
+                </div>
             </div>
 
-            {file && (
+            {items.length > 0 && (
                 <div>
                     <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '10px' }}>
-                        {!uploader && (
-                            <button onClick={startUpload} style={btnStyle}>Start Upload</button>
+                        {!started && (
+                            <button onClick={startAll} style={btnStyle}><Play size={16}/> Start Upload</button>
                         )}
-                        
-                        {uploader && stats.status !== 'COMPLETED' && (
-                            <button onClick={togglePause} style={btnStyle}>
-                                {stats.status === 'UPLOADING' ? <><Pause size={16}/> Pause</> : <><Play size={16}/> Resume</>}
-                            </button>
+                        {doneCount < items.length && (
+                            <button onClick={cancelAll} style={{ ...btnStyle, backgroundColor: '#dc3545' }}><XCircle size={16}/> Cancel All</button>
                         )}
-
                         <div style={{ marginLeft: 'auto', fontSize: '14px', color: '#555' }}>
-                            {stats.status} | {stats.speed} MB/s | ETA: {stats.eta}s
+                            {doneCount}/{items.length} files | {(totalSize / 1024 / 1024).toFixed(1)} MB total
                         </div>
                     </div>
 
-                    <ProgressBar progress={stats.progress} />
-                    
-                    <h3>Chunk Status ({stats.chunks.length})</h3>
-                    <ChunkGrid chunks={stats.chunks} />
-
-                    {result && (
-                        <div style={{ marginTop: '20px', padding: '15px', backgroundColor: '#f0f9eb', border: '1px solid #c3e6cb', borderRadius: '5px' }}>
-                            <h3 style={{ margin: '0 0 10px 0', color: '#155724' }}><CheckCircle size={20} style={{verticalAlign: 'middle'}}/> Success</h3>
-                            <p><strong>Hash:</strong> {result.final_hash}</p>
-                            <p><strong>Zip Contents (Peek):</strong></p>
-                            <ul style={{ maxHeight: '100px', overflowY: 'auto' }}>
-                                {result.zipContent && result.zipContent.map((f, i) => <li key={i}>{f}</li>)}
-                            </ul>
-                        </div>
+                    {interruptedCount > 0 && (
+                        <p style={{ padding: '10px', backgroundColor: '#fff8e1', border: '1px solid #ffe082', borderRadius: '5px', fontSize: '14px' }}>
+                            {interruptedCount} interrupted upload(s) found. Re-select each file to continue where it stopped.
+                        </p>
                     )}
+
+                    {items.map((item, i) => (
+                        <UploadItem
+                            key={item.id}
+                            item={item}
+                            isFirst={i === 0}
+                            isLast={i === items.length - 1}
+                            onPause={() => manager.pause(item.id)}
+                            onResume={() => manager.resume(item.id)}
+                            onCancel={() => manager.cancel(item.id)}
+                            onReselect={(file) => manager.attachFile(item.id, file)}
+                            onMoveUp={() => manager.moveUp(item.id)}
+                            onMoveDown={() => manager.moveDown(item.id)}
+                            onPrioritize={() => manager.prioritize(item.id)}
+                        />
+                    ))}
                 </div>
             )}
 
@@ -0,0 +1,91 @@
+// Adapts chunk size and concurrency to the measured link.
+//
+// - Chunk size follows the per-request throughput (EWMA) so a chunk takes ~targetChunkSeconds:
+//   small chunks on slow/flaky mobile links (fewer timeouts), big ones on fast LANs.
+// - Concurrency probes upward one step per "round" (as many successes as active slots) while
+//   aggregate throughput keeps improving, and backs off on regressions.
+// - Any failure halves both (multiplicative decrease), like TCP congestion control.
+
+const DEFAULTS = {
+  initialChunkSize: 1024 * 1024 * 5, // 5MB
+  minChunkSize: 1024 * 1024, // 1MB
+  maxChunkSize: 1024 * 1024 * 50, // 50MB (server MAX_CHUNK_BYTES)
+  initialConcurrency: 3,
+  minConcurrency: 1,
+  maxConcurrency: 6,
+  targetChunkSeconds: 5,
+  smoothing: 0.3 // EWMA weight of the newest sample
+};
+
+const CHUNK_ALIGNMENT = 256 * 1024; // keep sizes at round numbers
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export class ThroughputTuner {
+  constructor(options = {}) {
+    this.config = { ...DEFAULTS, ...options };
+    this.chunkSize = this.config.initialChunkSize;
+    this.concurrency = this.config.initialConcurrency;
+
+    this.throughput = null; // bytes/sec per request (EWMA)
+    this.round = { successes: 0, bytes: 0, startedAt: Date.now() };
+    this.lastRoundRate = null; // aggregate bytes/sec of the previous round
+    this.failures = 0;
+  }
+
+  // Server-imposed bounds (e.g. S3's 5MB minimum part size) tighten the configured ones
+  applyLimits({ minChunkSize, maxChunkSize } = {}) {
+    if (minChunkSize) this.config.minChunkSize = Math.max(this.config.minChunkSize, minChunkSize);
+    if (maxChunkSize) this.config.maxChunkSize = Math.min(this.config.maxChunkSize, maxChunkSize);
+    if (this.config.minChunkSize > this.config.maxChunkSize) this.config.minChunkSize = this.config.maxChunkSize;
+    this.chunkSize = this._clampChunkSize(this.chunkSize);
+  }
+
+  recordSuccess(bytes, durationMs) {
+    const seconds = Math.max(durationMs, 1) / 1000;
+    const sample = bytes / seconds;
+    this.throughput = this.throughput === null
+      ? sample
+      : this.config.smoothing * sample + (1 - this.config.smoothing) * this.throughput;
+
+    this.chunkSize = this._clampChunkSize(this.throughput * this.config.targetChunkSeconds);
+
+    this.round.successes++;
+    this.round.bytes += bytes;
+    if (this.round.successes >= this.concurrency) this._endRound();
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.concurrency = Math.max(this.config.minConcurrency, Math.ceil(this.concurrency / 2));
+    this.chunkSize = this._clampChunkSize(this.chunkSize / 2);
+    if (this.throughput !== null) this.throughput /= 2;
+    this._resetRound();
+    this.lastRoundRate = null; // start probing again from the reduced level
+  }
+
+  _endRound() {
+    const seconds = Math.max(Date.now() - this.round.startedAt, 1) / 1000;
+    const rate = this.round.bytes / seconds;
+
+    if (this.lastRoundRate === null || rate >= this.lastRoundRate * 1.05) {
+      // Still gaining from parallelism: probe one more slot
+      this.concurrency = Math.min(this.config.maxConcurrency, this.concurrency + 1);
+    } else if (rate < this.lastRoundRate * 0.9) {
+      // Extra requests are only competing with each other
+      this.concurrency = Math.max(this.config.minConcurrency, this.concurrency - 1);
+    }
+
+    this.lastRoundRate = rate;
+    this._resetRound();
+  }
+
+  _resetRound() {
+    this.round = { successes: 0, bytes: 0, startedAt: Date.now() };
+  }
+
+  _clampChunkSize(size) {
+    const aligned = Math.round(size / CHUNK_ALIGNMENT) * CHUNK_ALIGNMENT;
+    return clamp(aligned, this.config.minChunkSize, this.config.maxChunkSize);
+  }
+}
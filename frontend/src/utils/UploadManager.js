@@ -0,0 +1,259 @@
+import { FileUploader } from './Uploader';
+import { listUploadStates, deleteUploadState } from './uploadStore';
+
+// Multi-file queue above FileUploader.
+// - One global budget of in-flight chunk requests shared by every file (maxConcurrency).
+// - At most maxActiveFiles files are started at once (each one hashes in its own worker).
+// - List order is priority: the highest-ranked file that wants a slot gets it first,
+//   and the next file to start is the highest-ranked queued one.
+// - Uploads interrupted by a refresh/restart come back from IndexedDB as INTERRUPTED entries
+//   (no File yet); re-selecting the same file continues from the recorded chunks.
+
+let nextEntryId = 1;
+
+const ACTIVE_STATUSES = ['UPLOADING', 'PROCESSING'];
+const DONE_STATUSES = ['COMPLETED', 'QUARANTINED', 'CANCELLED'];
+
+export class UploadManager {
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency || 6;
+    this.maxActiveFiles = options.maxActiveFiles || 3;
+    this.uploaderOptions = options.uploaderOptions || {};
+    this.onChange = options.onChange || (() => {});
+
+    this.entries = []; // { id, file, name, size, relativePath, uploader, restoredState, stats, result, error, status }
+    this.activeSlots = 0;
+    this.running = false;
+    this._dispatchScheduled = false;
+    this.restored = false;
+  }
+
+  // files: [{ file, relativePath }] (relativePath set for directory drops)
+  add(files) {
+    for (const { file, relativePath } of files) {
+      this.entries.push({
+        id: nextEntryId++,
+        file,
+        name: file.name,
+        size: file.size,
+        relativePath: relativePath || file.name,
+        uploader: null,
+        restoredState: null,
+        stats: { progress: 0, chunks: [], status: 'QUEUED', speed: 0, eta: 0, hashProgress: 0 },
+        result: null,
+        error: null,
+        status: 'QUEUED'
+      });
+    }
+    this._emit();
+    if (this.running) this._startNext();
+  }
+
+  // List uploads left unfinished by an earlier session (call once on load)
+  async restore() {
+    if (this.restored) return;
+    this.restored = true;
+    const states = await listUploadStates();
+
+    for (const state of states) {
+      const uploaded = state.chunks.filter(c => c.status === 'SUCCESS').reduce((sum, c) => sum + (c.end - c.start), 0);
+      this.entries.push({
+        id: nextEntryId++,
+        file: null,
+        name: state.file.name,
+        size: state.file.size,
+        relativePath: state.relativePath || state.file.name,
+        uploader: null,
+        restoredState: state,
+        stats: { progress: state.file.size > 0 ? (uploaded / state.file.size) * 100 : 0, chunks: [], status: 'INTERRUPTED', speed: 0, eta: 0, hashProgress: 0 },
+        result: null,
+        error: null,
+        status: 'INTERRUPTED'
+      });
+    }
+    this._emit();
+  }
+
+  // Re-selected file for an INTERRUPTED entry: FileUploader checks it's the same content, then resumes
+  attachFile(id, file) {
+    const entry = this._get(id);
+    if (!entry || entry.status !== 'INTERRUPTED') return;
+    if (file.size !== entry.size) {
+      entry.error = `Selected file does not match the interrupted upload (expected ${entry.size} bytes)`;
+      this._emit();
+      return;
+    }
+    entry.file = file;
+    entry.error = null;
+    this._startEntry(entry);
+    this._emit();
+  }
+
+  start() {
+    this.running = true;
+    this._startNext();
+  }
+
+  pause(id) {
+    const entry = this._get(id);
+    if (entry && entry.uploader) entry.uploader.pause();
+  }
+
+  resume(id) {
+    const entry = this._get(id);
+    if (!entry) return;
+    entry.error = null;
+    if (entry.uploader) {
+      entry.uploader.resume();
+    } else if (entry.status === 'QUEUED') {
+      // Jump the file-level queue
+      this._startEntry(entry);
+    }
+  }
+
+  cancel(id) {
+    const entry = this._get(id);
+    if (!entry) return;
+    if (entry.status === 'PROCESSING') return; // finalize already running on the server
+    if (entry.uploader) {
+      entry.uploader.cancel().catch(() => {}); // failure is reported through onError
+    } else if (entry.restoredState) {
+      deleteUploadState(entry.restoredState.key);
+    }
+    this.entries = this.entries.filter(e => e !== entry);
+    this._emit();
+    this._startNext();
+  }
+
+  cancelAll() {
+    for (const entry of [...this.entries]) {
+      if (!DONE_STATUSES.includes(entry.status)) this.cancel(entry.id);
+    }
+  }
+
+  // Priority = position in the list
+  move(id, toIndex) {
+    const from = this.entries.findIndex(e => e.id === id);
+    if (from === -1) return;
+    const to = Math.max(0, Math.min(this.entries.length - 1, toIndex));
+    const [entry] = this.entries.splice(from, 1);
+    this.entries.splice(to, 0, entry);
+    this._emit();
+    this._scheduleDispatch();
+  }
+
+  moveUp(id) {
+    this.move(id, this.entries.findIndex(e => e.id === id) - 1);
+  }
+
+  moveDown(id) {
+    this.move(id, this.entries.findIndex(e => e.id === id) + 1);
+  }
+
+  prioritize(id) {
+    this.move(id, 0);
+    const entry = this._get(id);
+    if (this.running && entry && entry.status === 'QUEUED' && !entry.uploader) this._startEntry(entry);
+  }
+
+  // --- Slot pool used by FileUploader (options.scheduler) ---
+
+  acquireSlot(uploader) {
+    if (this.activeSlots >= this.maxConcurrency) return false;
+
+    // A higher-ranked file waiting for a slot goes first; poke it so the free slot isn't idle
+    for (const entry of this.entries) {
+      if (entry.uploader === uploader) break;
+      if (entry.uploader && entry.uploader.wantsSlot()) {
+        this._scheduleDispatch();
+        return false;
+      }
+    }
+
+    this.activeSlots++;
+    return true;
+  }
+
+  releaseSlot() {
+    this.activeSlots = Math.max(0, this.activeSlots - 1);
+    this._scheduleDispatch();
+  }
+
+  // --- internals ---
+
+  _get(id) {
+    return this.entries.find(e => e.id === id);
+  }
+
+  _scheduleDispatch() {
+    if (this._dispatchScheduled) return;
+    this._dispatchScheduled = true;
+    queueMicrotask(() => {
+      this._dispatchScheduled = false;
+      // Priority order: earlier entries fill free slots first
+      for (const entry of this.entries) {
+        if (this.activeSlots >= this.maxConcurrency) break;
+        if (entry.uploader && entry.uploader.wantsSlot()) entry.uploader._processQueue();
+      }
+    });
+  }
+
+  _startNext() {
+    if (!this.running) return;
+    let active = this.entries.filter(e => ACTIVE_STATUSES.includes(e.status)).length;
+    for (const entry of this.entries) {
+      if (active >= this.maxActiveFiles) break;
+      if (entry.status === 'QUEUED' && !entry.uploader) {
+        this._startEntry(entry);
+        active++;
+      }
+    }
+  }
+
+  _startEntry(entry) {
+    entry.uploader = new FileUploader(entry.file, {
+      ...this.uploaderOptions,
+      relativePath: entry.relativePath,
+      restoredState: entry.restoredState,
+      scheduler: this,
+      onProgress: (stats) => {
+        const previous = entry.status;
+        entry.stats = { ...stats };
+        entry.status = stats.status;
+        this._emit();
+        // A file finished, failed or paused: let the next queued one start
+        if (previous !== entry.status && !ACTIVE_STATUSES.includes(entry.status)) this._startNext();
+      },
+      onComplete: (data) => {
+        entry.result = data;
+        this._emit();
+      },
+      onError: (err) => {
+        entry.error = err.message;
+        if (err.code === 'FILE_MISMATCH') {
+          // Wrong file picked: back to waiting for the right one
+          entry.uploader = null;
+          entry.file = null;
+          entry.status = 'INTERRUPTED';
+        }
+        this._emit();
+      }
+    });
+    entry.status = 'UPLOADING';
+    entry.uploader.start();
+  }
+
+  _emit() {
+    this.onChange(this.entries.map(e => ({
+      id: e.id,
+      name: e.name,
+      relativePath: e.relativePath,
+      size: e.size,
+      status: e.status,
+      stats: e.stats,
+      result: e.result,
+      error: e.error,
+      done: DONE_STATUSES.includes(e.status)
+    })));
+  }
+}
@@ -0,0 +1,47 @@
+import axios from 'axios';
+
+// API credentials. Every axios request to the API carries the API key (X-API-Key); where headers
+// can't be sent (EventSource, download links) a short-lived bearer token goes in the URL instead.
+
+const API_KEY_STORAGE = 'uploader.apiKey';
+const TOKEN_RENEW_MARGIN = 60 * 1000; // fetch a new token when the cached one has less left than this
+
+const serverUrl = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+let cachedToken = null; // { token, expiresAt, apiKey }
+
+// Key saved in this browser, else the one the build was configured with
+export const getApiKey = () => localStorage.getItem(API_KEY_STORAGE) || import.meta.env.VITE_API_KEY || '';
+
+export const setApiKey = (key) => {
+  if (key) localStorage.setItem(API_KEY_STORAGE, key);
+  else localStorage.removeItem(API_KEY_STORAGE);
+  cachedToken = null;
+};
+
+axios.interceptors.request.use((config) => {
+  const apiKey = getApiKey();
+  if (apiKey && config.url && config.url.startsWith(serverUrl)) config.headers['X-API-Key'] = apiKey;
+  return config;
+});
+
+const accessToken = async () => {
+  const apiKey = getApiKey();
+  if (cachedToken && cachedToken.apiKey === apiKey && cachedToken.expiresAt - Date.now() > TOKEN_RENEW_MARGIN) {
+    return cachedToken.token;
+  }
+  const { data } = await axios.post(`${serverUrl}/auth/token`);
+  cachedToken = { token: data.token, expiresAt: new Date(data.expiresAt).getTime(), apiKey };
+  return data.token;
+};
+
+// `url` with an access_token query parameter (GET only; the server never accepts API keys in URLs)
+export const withAccessToken = async (url) => {
+  const token = await accessToken();
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+};
+
+// Start a browser download of an API URL
+export const openDownload = async (url) => {
+  window.location.assign(await withAccessToken(url));
+};
@@ -0,0 +1,53 @@
+// Turns a drop or a file/folder picker selection into [{ file, relativePath }].
+// Folders are walked recursively so their structure survives in relativePath.
+
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const all = [];
+  // readEntries returns at most ~100 entries per call: keep reading until it comes back empty
+  const readBatch = () => reader.readEntries((batch) => {
+    if (batch.length === 0) return resolve(all);
+    all.push(...batch);
+    readBatch();
+  }, reject);
+  readBatch();
+});
+
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, prefix, out) => {
+  if (entry.isFile) {
+    const file = await entryToFile(entry);
+    out.push({ file, relativePath: prefix + file.name });
+  } else if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    for (const child of children) {
+      await walkEntry(child, `${prefix}${entry.name}/`, out);
+    }
+  }
+};
+
+// DataTransfer from a drop event. Entries must be grabbed synchronously, before any await.
+export const filesFromDataTransfer = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  // No entry API: plain files only
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return filesFromInput(dataTransfer.files);
+  }
+
+  const out = [];
+  for (const entry of entries) {
+    await walkEntry(entry, '', out);
+  }
+  return out;
+};
+
+// FileList from <input type="file" multiple> or <input webkitdirectory>
+export const filesFromInput = (fileList) =>
+  Array.from(fileList || []).map(file => ({
+    file,
+    relativePath: file.webkitRelativePath || file.name
+  }));
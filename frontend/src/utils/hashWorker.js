@@ -0,0 +1,23 @@
+import { sha256 } from 'js-sha256';
+
+// Whole-file SHA-256, computed off the main thread.
+// WebCrypto can't hash incrementally, so we feed js-sha256 one slice at a time.
+// The File is structured-cloned into the worker (no bytes copied); slices are read in order
+// so the digest is correct even though the uploader sends chunks out of order.
+self.onmessage = async (e) => {
+  const { file, chunkSize } = e.data;
+
+  try {
+    const hash = sha256.create();
+
+    for (let offset = 0; offset < file.size; offset += chunkSize) {
+      const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+      hash.update(buffer);
+      self.postMessage({ type: 'progress', hashedBytes: Math.min(offset + chunkSize, file.size) });
+    }
+
+    self.postMessage({ type: 'done', hash: hash.hex() });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
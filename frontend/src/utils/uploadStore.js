@@ -0,0 +1,62 @@
+// IndexedDB persistence for in-flight uploads, so they can be resumed after a refresh or browser restart.
+// One record per upload, keyed by the content fingerprint and the file's relativePath (or name):
+// { key, uploadId, fingerprint, sessionToken, file: { name, size, type, lastModified }, relativePath,
+//   chunks: [{ index, start, end, status }], nextOffset, nextIndex, settings, status, updatedAt }
+// Storage is best-effort: if IndexedDB is unavailable (private mode, old browser) uploads still work,
+// they just can't be offered for resume after a restart.
+
+const DB_NAME = 'uploader';
+const DB_VERSION = 1;
+const STORE = 'uploads';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB not available'));
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Run one request against the store and resolve with its result
+const run = async (mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const warn = (action) => (err) => {
+  console.warn(`Upload state ${action} failed`, err);
+};
+
+export const saveUploadState = (record) =>
+  run('readwrite', store => store.put({ ...record, updatedAt: Date.now() })).catch(warn('save'));
+
+export const deleteUploadState = (key) =>
+  run('readwrite', store => store.delete(key)).catch(warn('delete'));
+
+// Most recently touched first
+export const listUploadStates = async () => {
+  try {
+    const records = await run('readonly', store => store.getAll());
+    return records.sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (err) {
+    warn('load')(err);
+    return [];
+  }
+};
@@ -0,0 +1,16 @@
+import axios from 'axios';
+
+const serverUrl = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+// Archive contents of a COMPLETED upload: { uploadId, archive: { entries, warnings, ... } | null }
+export const fetchArchiveEntries = async (uploadId) => {
+  const { data } = await axios.get(`${serverUrl}/upload/${uploadId}/entries`);
+  return data;
+};
+
+// Direct link to one file inside a COMPLETED ZIP upload (each path segment encoded separately)
+export const archiveEntryUrl = (uploadId, path) =>
+  `${serverUrl}/upload/${uploadId}/entries/${path.split('/').map(encodeURIComponent).join('/')}`;
+
+// The stored file of a COMPLETED upload (supports Range, so browsers and download managers can resume)
+export const contentUrl = (uploadId) => `${serverUrl}/upload/${uploadId}/content`;